@@ -6,6 +6,7 @@ import { Resend } from "resend";
 import axios from "axios";
 import { google } from "googleapis";
 import { DateTime, Interval } from "luxon";
+import crypto from "crypto";
 
 // ------------------------------------------------------------
 // Boot
@@ -14,7 +15,17 @@ const VERSION = "FINAL_STABLE_V2_ALL_TOOLS";
 console.log("BOOT:", VERSION, "CWD:", process.cwd());
 
 const app = express();
-app.use(express.json({ limit: "25mb" }));
+// rawBody keeps the exact bytes for webhook signature checks
+app.use(
+  express.json({
+    limit: "25mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+// public HTML pages (manage links, Google onboarding) post plain forms; applied per route
+const formBody = express.urlencoded({ extended: false, limit: "10kb" });
 
 // ------------------------------------------------------------
 // Helpers
@@ -38,11 +49,19 @@ function logError(req, err, where, extra = {}) {
   );
 }
 
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
 function escapeHtml(s) {
   return String(s ?? "")
     .replaceAll("&", "&amp;")
     .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;");
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
 }
 
 function normalizeTranscriptFromRetellCall(call) {
@@ -54,17 +73,24 @@ function normalizeTranscriptFromRetellCall(call) {
   return "";
 }
 
-function detectAction(summary, transcript) {
-  const text = `${summary} ${transcript}`.toLowerCase();
-  if (text.includes("cancel")) return "cancel";
-  if (text.includes("resched")) return "reschedule";
-  if (text.includes("book") || text.includes("schedule")) return "book";
-  return "unknown";
-}
-
 // ------------------------------------------------------------
 // Request logger
 // ------------------------------------------------------------
+// Query strings carry tool/webhook tokens, OAuth codes and onboarding sessions, and the public manage,
+// waitlist and feed links carry their token in the path; neither reaches the logs.
+const SENSITIVE_QUERY_KEY = /token|secret|signature|key|code|state|session/i;
+const SENSITIVE_PATH = /^(\/(?:manage|waitlist\/claim|feeds))\/[^/]+?(\.ics)?(?=\/|$)/;
+
+function redactPath(path) {
+  return path.replace(SENSITIVE_PATH, "$1/[redacted]$2");
+}
+
+function redactQuery(query) {
+  return Object.fromEntries(
+    Object.entries(query || {}).map(([k, v]) => [k, SENSITIVE_QUERY_KEY.test(k) ? "[redacted]" : v])
+  );
+}
+
 app.use((req, res, next) => {
   req.request_id = `req_${Date.now()}_${Math.random().toString(16).slice(2)}`;
   console.log(
@@ -72,8 +98,8 @@ app.use((req, res, next) => {
       request_id: req.request_id,
       msg: "INCOMING",
       method: req.method,
-      path: req.path,
-      query: req.query,
+      path: redactPath(req.path),
+      query: redactQuery(req.query),
     })
   );
   next();
@@ -123,21 +149,75 @@ app.get("/debug/routes", (req, res) => {
 });
 
 // ------------------------------------------------------------
-// Webhook auth (?token=...)
+// Webhook auth
+//
+// Retell signs every webhook: x-retell-signature is "v=<timestamp ms>,d=<hex>" where the
+// digest is HMAC-SHA256 over raw body + timestamp, keyed with RETELL_API_KEY. The shared
+// ?token= check is only a fallback for clients flagged clients.allow_webhook_query_token.
 // ------------------------------------------------------------
+const RETELL_SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
 function requireWebhookToken(req) {
   const got = String(req.query?.token || "").trim();
   const expected = String(mustEnv("WEBHOOK_TOKEN")).trim();
-  if (!got || got !== expected) {
-    const err = new Error("Unauthorized");
-    err.status = 401;
-    throw err;
-  }
+  if (!got || !safeEqual(got, expected)) throw httpError(401, "Unauthorized");
+}
+
+function verifyRetellSignature(rawBody, header, apiKey, now = Date.now()) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.trim().split("="))
+      .filter(([k, v]) => k && v)
+  );
+  const timestamp = Number(parts.v);
+  if (!timestamp || !parts.d) throw httpError(401, "Malformed signature");
+  if (Math.abs(now - timestamp) > RETELL_SIGNATURE_TOLERANCE_MS) throw httpError(401, "Stale signature");
+
+  const expected = crypto
+    .createHmac("sha256", apiKey)
+    .update(Buffer.concat([rawBody || Buffer.alloc(0), Buffer.from(parts.v)]))
+    .digest("hex");
+  if (!safeEqual(parts.d, expected)) throw httpError(401, "Invalid signature");
+}
+
+async function requireRetellWebhookAuth(req, client_id) {
+  const signature = req.get("x-retell-signature");
+  if (signature) return verifyRetellSignature(req.rawBody, signature, mustEnv("RETELL_API_KEY"));
+
+  const { data: client, error } = await supabase
+    .from("clients")
+    .select("allow_webhook_query_token")
+    .eq("id", client_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!client?.allow_webhook_query_token) throw httpError(401, "Missing signature");
+  requireWebhookToken(req);
+}
+
+// Records a delivery (table: webhook_events, unique event_key). False when it was seen before,
+// so retries and replays of the same call/event are acknowledged without running again.
+async function claimWebhookEvent({ source, event_key, client_id }) {
+  const { error } = await supabase.from("webhook_events").insert({ source, event_key, client_id });
+  if (error?.code === "23505") return false;
+  if (error) throw error;
+  return true;
+}
+
+// Lets the sender's retry through after we failed to handle the delivery.
+async function releaseWebhookEvent({ source, event_key }) {
+  const { error } = await supabase.from("webhook_events").delete().eq("source", source).eq("event_key", event_key);
+  if (error) throw error;
 }
 
 // ------------------------------------------------------------
 // Tool auth (client-specific token -> client_id)
+//
+// client_tool_tokens.scope says what a token opens: "tools" (the Retell tool endpoints; also
+// rows without a scope) or "reports" (read-only /reports for its client).
 // ------------------------------------------------------------
+const TOKEN_SCOPES = ["tools", "reports"];
+
 async function getClientIdFromToolToken(req) {
   const token = String(req.query?.token || "").trim();
   if (!token) {
@@ -145,10 +225,13 @@ async function getClientIdFromToolToken(req) {
     err.status = 401;
     throw err;
   }
+  return getClientIdFromToken(token, "tools");
+}
 
+async function getClientIdFromToken(token, scope) {
   const { data, error } = await supabase
     .from("client_tool_tokens")
-    .select("client_id,is_active")
+    .select("client_id,is_active,scope")
     .eq("token", token)
     .single();
 
@@ -162,6 +245,11 @@ async function getClientIdFromToolToken(req) {
     err.status = 401;
     throw err;
   }
+  if ((data.scope || "tools") !== scope) {
+    const err = new Error(`Unauthorized (token is not valid for ${scope})`);
+    err.status = 401;
+    throw err;
+  }
 
   // best-effort update
   supabase
@@ -194,502 +282,5276 @@ function enforceClientIdMatch(req, res) {
 }
 
 // ------------------------------------------------------------
-// Google OAuth helpers
+// Admin auth (Authorization: Bearer ADMIN_API_TOKEN)
 // ------------------------------------------------------------
-function getOAuthClient() {
-  return new google.auth.OAuth2(
-    mustEnv("GOOGLE_CLIENT_ID"),
-    mustEnv("GOOGLE_CLIENT_SECRET"),
-    mustEnv("GOOGLE_REDIRECT_URL")
-  );
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
 }
 
-async function getClientCalendar(client_id) {
-  const { data, error } = await supabase
-    .from("client_google")
-    .select("refresh_token, calendar_id")
-    .eq("client_id", client_id)
-    .single();
-
-  if (error) throw new Error("Client Google not connected: " + error.message);
-  if (!data?.refresh_token) throw new Error("Missing refresh_token for client");
+function adminAuth(req, res, next) {
+  const header = String(req.headers.authorization || "");
+  const got = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  try {
+    if (!got || !safeEqual(got, mustEnv("ADMIN_API_TOKEN"))) {
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+    next();
+  } catch (e) {
+    logError(req, e, "adminAuth");
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
 
-  const oauth2Client = getOAuthClient();
-  oauth2Client.setCredentials({ refresh_token: data.refresh_token });
+// Reports: the admin token, or a "reports" token belonging to the client in the path
+// (Authorization: Bearer <token> or ?token=).
+async function reportAuth(req, res, next) {
+  const header = String(req.headers.authorization || "");
+  const token = (header.startsWith("Bearer ") ? header.slice(7).trim() : "") || String(req.query?.token || "").trim();
+  try {
+    if (!token) return res.status(401).json({ ok: false, error: "Missing token" });
+    if (process.env.ADMIN_API_TOKEN && safeEqual(token, process.env.ADMIN_API_TOKEN)) return next();
 
-  const calendar = google.calendar({ version: "v3", auth: oauth2Client });
-  return { calendar, calendar_id: data.calendar_id || "primary" };
+    const client_id = await getClientIdFromToken(token, "reports");
+    if (String(client_id) !== String(req.params.client_id)) {
+      return res.status(403).json({ ok: false, error: "Token does not belong to this client" });
+    }
+    next();
+  } catch (e) {
+    logError(req, e, "reportAuth");
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
 }
 
 // ------------------------------------------------------------
-// Business rules (default)
+// Idempotency (table: idempotency_keys)
+//
+//   client_id, scope ("book" | "reschedule" | "cancel"), key   unique together
+//   request_hash   sha256 of the request body, to catch a key reused for a different request
+//   status         "pending" while the first request runs, then "completed"
+//   status_code, response, created_at
+//
+// A retry with the same key and body gets the stored response back; 5xx results are not
+// stored so the caller can retry them.
 // ------------------------------------------------------------
-function getDefaultBusinessRules(timezone) {
-  return {
-    timezone,
-    allow_weekends: false,
-    start_hour: 9,
-    end_hour: 17,
-    lunch_start_hour: 12,
-    lunch_end_hour: 13,
-    step_minutes: 15,
-  };
+const IDEMPOTENCY_PENDING_TIMEOUT_MS = 2 * 60 * 1000;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
 }
 
-function validateAgainstBusinessRules({ startISO, endISO, rules }) {
-  const start = DateTime.fromISO(startISO, { zone: rules.timezone });
-  const end = DateTime.fromISO(endISO, { zone: rules.timezone });
+function hashRequestBody(body) {
+  const { idempotency_key, ...rest } = body || {};
+  return crypto.createHash("sha256").update(stableStringify(rest)).digest("hex");
+}
 
-  if (!start.isValid || !end.isValid) return { ok: false, error: "Invalid start/end time" };
-  if (end <= start) return { ok: false, error: "end_time must be after start_time" };
+// Claims (client_id, scope, key). Returns { claimed: true, id } for a new request,
+// { replay } with the stored result, or { status, error } when the key can't be used.
+async function claimIdempotencyKey({ client_id, scope, key, body }) {
+  const request_hash = hashRequestBody(body);
 
-  if (!rules.allow_weekends && (start.weekday === 6 || start.weekday === 7)) {
-    return { ok: false, error: "Closed on weekends" };
-  }
+  const { data: inserted, error: insErr } = await supabase
+    .from("idempotency_keys")
+    .insert({ client_id, scope, key, request_hash, status: "pending" })
+    .select("id")
+    .single();
+  if (!insErr) return { claimed: true, id: inserted.id };
+  if (insErr.code !== "23505") throw insErr;
 
-  const startHour = start.hour + start.minute / 60;
-  const endHour = end.hour + end.minute / 60;
+  const { data: existing, error } = await supabase
+    .from("idempotency_keys")
+    .select("id,request_hash,status,status_code,response,created_at")
+    .eq("client_id", client_id)
+    .eq("scope", scope)
+    .eq("key", key)
+    .single();
+  if (error) throw error;
 
-  if (startHour < rules.start_hour || endHour > rules.end_hour) {
-    return { ok: false, error: "Outside business hours" };
+  if (existing.request_hash !== request_hash) {
+    return { status: 422, error: "idempotency_key was already used with a different request" };
   }
-
-  if (rules.lunch_start_hour != null && rules.lunch_end_hour != null) {
-    const lunchStart = start.set({ hour: rules.lunch_start_hour, minute: 0, second: 0, millisecond: 0 });
-    const lunchEnd = start.set({ hour: rules.lunch_end_hour, minute: 0, second: 0, millisecond: 0 });
-    const lunchInterval = Interval.fromDateTimes(lunchStart, lunchEnd);
-    const slotInterval = Interval.fromDateTimes(start, end);
-    if (lunchInterval.overlaps(slotInterval)) return { ok: false, error: "Conflicts with lunch break" };
+  if (existing.status === "completed") {
+    return { replay: { status_code: existing.status_code, response: existing.response } };
   }
 
-  return { ok: true };
+  // a pending claim whose request died without settling can be taken over
+  const age = Date.now() - DateTime.fromISO(existing.created_at).toMillis();
+  if (age < IDEMPOTENCY_PENDING_TIMEOUT_MS) {
+    return { status: 409, error: "A request with this idempotency_key is still in progress" };
+  }
+  const { data: takenOver } = await supabase
+    .from("idempotency_keys")
+    .update({ created_at: new Date().toISOString() })
+    .eq("id", existing.id)
+    .eq("status", "pending")
+    .eq("created_at", existing.created_at)
+    .select("id");
+  if (!takenOver?.length) return { status: 409, error: "A request with this idempotency_key is still in progress" };
+  return { claimed: true, id: existing.id };
 }
 
-// ------------------------------------------------------------
-// Double-booking checks
-// ------------------------------------------------------------
-async function isFreeInGoogleCalendar(calendar, calendar_id, startISO, endISO) {
-  const resp = await calendar.freebusy.query({
-    requestBody: { timeMin: startISO, timeMax: endISO, items: [{ id: calendar_id }] },
-  });
-  const busy = resp.data?.calendars?.[calendar_id]?.busy || [];
-  return busy.length === 0;
+async function settleIdempotencyKey(id, status_code, response) {
+  if (status_code >= 500) {
+    await supabase.from("idempotency_keys").delete().eq("id", id);
+    return;
+  }
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .update({ status: "completed", status_code, response })
+    .eq("id", id);
+  if (error) throw error;
 }
 
-async function hasOverlapInSupabase(client_id, startISO, endISO, ignoreAppointmentId = null) {
-  let q = supabase
-    .from("appointments")
-    .select("id")
-    .eq("client_id", client_id)
-    .eq("status", "booked")
-    .lt("start_time", endISO)
-    .gt("end_time", startISO);
-
-  if (ignoreAppointmentId != null) q = q.neq("id", ignoreAppointmentId);
+// Route middleware (after toolAuth). Settles the key before the response goes out, so a
+// retry that arrives right after it sees the completed result.
+function idempotent(scope, { required = false } = {}) {
+  return async (req, res, next) => {
+    const key = String(req.body?.idempotency_key || "").trim();
+    if (!key) {
+      if (required) return res.status(400).json({ ok: false, error: "Missing idempotency_key" });
+      return next();
+    }
 
-  const { data, error } = await q;
-  if (error) throw error;
-  return (data || []).length > 0;
+    try {
+      const claim = await claimIdempotencyKey({ client_id: req.client_id, scope, key, body: req.body });
+      if (claim.replay) {
+        return res.status(claim.replay.status_code).json({ ...claim.replay.response, idempotent_replay: true });
+      }
+      if (!claim.claimed) return res.status(claim.status).json({ ok: false, error: claim.error });
+
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        settleIdempotencyKey(claim.id, res.statusCode, payload)
+          .catch((e) => logError(req, e, "idempotency/settle", { scope, key }))
+          .finally(() => json(payload));
+        return res;
+      };
+      next();
+    } catch (e) {
+      logError(req, e, "idempotency/claim", { scope, key });
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
 }
 
 // ------------------------------------------------------------
-// Retell fetch
+// Jobs (table: jobs)
+//
+// Work that happens after the response (webhook processing, notifications, waitlist offers,
+// calendar syncs, outbound webhooks) is a row here, so a restart or a flaky provider delays it instead of
+// losing it.
+// jobs: id, type, payload jsonb, status "queued" | "running" | "succeeded" | "dead",
+//   attempts, max_attempts, run_at, locked_at, last_error, finished_at,
+//   dedupe_key (unique where status = 'queued': one pending copy of the same work)
+// A failed attempt is re-queued with exponential backoff; after max_attempts the job is
+// "dead" until it is re-run from /admin/jobs.
 // ------------------------------------------------------------
-async function fetchRetellCall(call_id) {
-  const url = `https://api.retellai.com/v2/get-call/${call_id}`;
-  const resp = await axios.get(url, {
-    headers: { Authorization: `Bearer ${mustEnv("RETELL_API_KEY")}` },
-    timeout: 20000,
-  });
-  return resp.data;
-}
+const JOB_MAX_ATTEMPTS = 8;
+const JOB_BACKOFF_BASE_MS = 30 * 1000;
+const JOB_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const JOB_BATCH_SIZE = 10;
+
+const jobHandlers = {
+  "retell.call_analyzed": (payload) => processAnalyzedCall(payload),
+
+  async "calendar.sync"({ channel_id }) {
+    const { data: channel, error } = await supabase
+      .from("google_watch_channels")
+      .select("*")
+      .eq("id", channel_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (channel?.status !== "active") return;
+    try {
+      await syncCalendarChannel(channel);
+    } catch (e) {
+      // nothing to pull until the client reconnects; retrying would only end up dead
+      if (e.code !== "google_disconnected") throw e;
+    }
+  },
 
-// ------------------------------------------------------------
-// Retell verification pings (GET/HEAD)
-// ------------------------------------------------------------
-app.all("/retell-webhook", (req, res, next) => {
-  if (req.method === "GET" || req.method === "HEAD") return res.status(200).send("ok");
-  return next();
-});
+  "waitlist.offer": ({ slot }) => offerFreedSlot(slot),
 
-// ------------------------------------------------------------
-// Google OAuth onboarding
-// ------------------------------------------------------------
-app.get("/onboard/google/start", async (req, res) => {
-  try {
-    const client_id = req.query.client_id;
-    if (!client_id) return res.status(400).send("Missing client_id");
+  "waitlist.notify": ({ offer_id }) => notifyWaitlistOffer(offer_id),
 
-    const oauth2Client = getOAuthClient();
-const url = oauth2Client.generateAuthUrl({
-  access_type: "offline",
-  prompt: "consent",
-  scope: ["https://www.googleapis.com/auth/calendar"],
-  state: String(client_id),
-});
+  "email.call_digest": (payload) => sendCallDigest(payload),
 
-    return res.redirect(url);
-  } catch (e) {
-    logError(req, e, "onboard/google/start");
-    return res.status(500).send(e.message);
-  }
-});
+  "alert.google_disconnected": (payload) => sendGoogleDisconnectedAlert(payload),
 
-app.get("/onboard/google/callback", async (req, res) => {
-  try {
-    const code = req.query.code;
-    const client_id = req.query.state;
+  "webhook.emit": (payload) => fanOutWebhookEvent(payload),
 
-    if (!code) return res.status(400).send("Missing code");
-    if (!client_id) return res.status(400).send("Missing state/client_id");
+  "webhook.deliver": (payload) => deliverWebhook(payload),
 
-    const oauth2Client = getOAuthClient();
-    const { tokens } = await oauth2Client.getToken(String(code));
+  async "notify.appointment"({ appointment_id, kind, previous = null, dedupe = "" }) {
+    const { data: appt, error } = await supabase
+      .from("appointments")
+      .select("*")
+      .eq("id", appointment_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!appt) return;
+    // a reminder for a booking that was cancelled or moved meanwhile is dropped
+    if (kind === "reminder" && appt.status !== "booked") return;
+    await notifyAppointment(appt, kind, { previous, dedupe });
+  },
+};
+
+// Returns the job row, or null when an identical job (same dedupe_key) is already queued.
+async function enqueueJob(type, payload, { dedupe_key = null, max_attempts = JOB_MAX_ATTEMPTS, run_at = null } = {}) {
+  if (!jobHandlers[type]) throw new Error(`Unknown job type: ${type}`);
+  const { data, error } = await supabase
+    .from("jobs")
+    .insert({
+      type,
+      payload,
+      status: "queued",
+      attempts: 0,
+      max_attempts,
+      run_at: run_at || new Date().toISOString(),
+      dedupe_key,
+    })
+    .select("id,type,status,run_at")
+    .single();
+  if (error?.code === "23505") return null;
+  if (error) throw error;
+  setImmediate(kickJobWorker);
+  return data;
+}
 
-    if (!tokens.refresh_token) {
-      return res.status(400).send("No refresh_token received. Try again with prompt=consent.");
+// Side effects of a change that already happened: failing to queue them must not turn the
+// change into an error for the caller, so this logs instead of throwing. jobs: [[type, payload]].
+async function enqueueAfterCommit(where, jobs) {
+  for (const [type, payload, options] of jobs) {
+    try {
+      await enqueueJob(type, payload, options);
+    } catch (e) {
+      logError(null, e, `jobs/enqueue/${where}`, { type, payload });
     }
+  }
+}
 
-    const { error } = await supabase.from("client_google").upsert({
-      client_id,
-      refresh_token: tokens.refresh_token,
-      calendar_id: "primary",
-    });
+function jobBackoffMs(attempts) {
+  const ms = Math.min(JOB_BACKOFF_MAX_MS, JOB_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(ms * (0.8 + Math.random() * 0.4));
+}
 
+async function runJob(job) {
+  try {
+    await jobHandlers[job.type](job.payload || {});
+    const { error } = await supabase
+      .from("jobs")
+      .update({ status: "succeeded", finished_at: new Date().toISOString(), last_error: null })
+      .eq("id", job.id);
     if (error) throw error;
-    return res.send("✅ Google Calendar connected! You can close this tab.");
   } catch (e) {
-    logError(req, e, "onboard/google/callback");
-    return res.status(500).send("OAuth failed: " + e.message);
+    const dead = job.attempts >= job.max_attempts;
+    logError(null, e, `jobs/${job.type}`, { job_id: job.id, attempt: job.attempts, dead });
+    const { error } = await supabase
+      .from("jobs")
+      .update({
+        status: dead ? "dead" : "queued",
+        last_error: e.message || String(e),
+        run_at: dead ? job.run_at : new Date(Date.now() + jobBackoffMs(job.attempts)).toISOString(),
+        finished_at: dead ? new Date().toISOString() : null,
+        locked_at: null,
+      })
+      .eq("id", job.id);
+    if (error) logError(null, error, "jobs/settle", { job_id: job.id });
   }
-});
+}
 
-// ------------------------------------------------------------
-// TOOLS
-// ------------------------------------------------------------
+// Takes due jobs one at a time; the conditional update means only one worker gets each.
+async function drainJobs() {
+  for (;;) {
+    const { data: due, error } = await supabase
+      .from("jobs")
+      .select("*")
+      .eq("status", "queued")
+      .lte("run_at", new Date().toISOString())
+      .order("run_at", { ascending: true })
+      .limit(JOB_BATCH_SIZE);
+    if (error) throw error;
+    if (!due?.length) return;
+
+    for (const job of due) {
+      const { data: claimed, error: claimErr } = await supabase
+        .from("jobs")
+        .update({ status: "running", attempts: (job.attempts || 0) + 1, locked_at: new Date().toISOString() })
+        .eq("id", job.id)
+        .eq("status", "queued")
+        .select("*");
+      if (claimErr) throw claimErr;
+      if (claimed?.length) await runJob(claimed[0]);
+    }
+  }
+}
 
-// 1) CHECK AVAILABILITY
-app.post("/tools/check-availability", toolAuth, async (req, res) => {
-  try {
-    if (!enforceClientIdMatch(req, res)) return;
+let jobWorker = null;
 
-    const client_id = req.client_id;
-    const {
-      date,
-      duration_minutes = 30,
-      timezone = "America/Toronto",
-      start_hour,
-      end_hour,
-      lunch_start_hour,
-      lunch_end_hour,
-      allow_weekends,
-    } = req.body || {};
+function workJobs() {
+  jobWorker ||= drainJobs().finally(() => {
+    jobWorker = null;
+  });
+  return jobWorker;
+}
 
-    if (!date) return res.status(400).json({ ok: false, error: "Missing date YYYY-MM-DD" });
+function kickJobWorker() {
+  workJobs().catch((e) => logError(null, e, "jobs/worker"));
+}
 
-    const rules = getDefaultBusinessRules(timezone);
-    if (start_hour != null) rules.start_hour = Number(start_hour);
-    if (end_hour != null) rules.end_hour = Number(end_hour);
-    if (lunch_start_hour != null) rules.lunch_start_hour = Number(lunch_start_hour);
-    if (lunch_end_hour != null) rules.lunch_end_hour = Number(lunch_end_hour);
-    if (allow_weekends != null) rules.allow_weekends = Boolean(allow_weekends);
+// Jobs whose worker died mid-run (restart, crash) go back to the queue.
+async function requeueStuckJobs() {
+  const { error } = await supabase
+    .from("jobs")
+    .update({ status: "queued", locked_at: null, last_error: "Worker stopped while running" })
+    .eq("status", "running")
+    .lt("locked_at", new Date(Date.now() - JOB_LOCK_TIMEOUT_MS).toISOString());
+  if (error) throw error;
+}
 
-    const { calendar, calendar_id } = await getClientCalendar(client_id);
+// Freed time slot as the waitlist needs it (job payloads are plain JSON).
+function freedSlot(appt) {
+  const { client_id, start_time, end_time, service_id = null, staff_id = null } = appt;
+  return { client_id, start_time, end_time, service_id, staff_id };
+}
 
-    const dayStart = DateTime.fromISO(date, { zone: rules.timezone }).set({
-      hour: rules.start_hour,
-      minute: 0,
-      second: 0,
-      millisecond: 0,
-    });
+// ------------------------------------------------------------
+// Google OAuth helpers
+//
+// client_google: client_id, refresh_token, calendar_id, busy_calendar_ids,
+//   status ("connected" | "disconnected"), connected_at, disconnected_at, disconnected_reason
+// A refresh token Google no longer accepts (invalid_grant: revoked, password change, expired
+// testing app) marks the connection disconnected and alerts OPS_ALERT_EMAIL once; calls for
+// that client then fail fast with 503 until it is reconnected through an onboarding link.
+// Staff with their own Google account get the same treatment on staff.google_status.
+// ------------------------------------------------------------
+function getOAuthClient() {
+  return new google.auth.OAuth2(
+    mustEnv("GOOGLE_CLIENT_ID"),
+    mustEnv("GOOGLE_CLIENT_SECRET"),
+    mustEnv("GOOGLE_REDIRECT_URL")
+  );
+}
 
-    const dayEnd = DateTime.fromISO(date, { zone: rules.timezone }).set({
-      hour: rules.end_hour,
-      minute: 0,
-      second: 0,
-      millisecond: 0,
-    });
+function googleDisconnectedError(staff = null) {
+  const who = staff?.refresh_token ? `Google account of ${staff.name || "staff member"}` : "Google Calendar";
+  const err = httpError(503, `${who} is disconnected; it must be reconnected before booking`);
+  err.code = "google_disconnected";
+  return err;
+}
 
-    if (!rules.allow_weekends && (dayStart.weekday === 6 || dayStart.weekday === 7)) {
-      return res.json({ ok: true, date, timezone: rules.timezone, slots: [] });
-    }
+function isInvalidGrant(e) {
+  return e?.response?.data?.error === "invalid_grant" || /invalid_grant/.test(e?.message || "");
+}
 
-    const eventsResp = await calendar.events.list({
-      calendarId: calendar_id,
-      timeMin: dayStart.toUTC().toISO(),
-      timeMax: dayEnd.toUTC().toISO(),
-      singleEvents: true,
-      orderBy: "startTime",
-    });
+// Flips the connection to disconnected; only the request that flips it queues the alert.
+async function markGoogleDisconnected(client_id, staff, reason) {
+  const now = new Date().toISOString();
+  const own = Boolean(staff?.refresh_token);
+  const { data, error } = await (own
+    ? supabase
+        .from("staff")
+        .update({ google_status: "disconnected", google_disconnected_at: now })
+        .eq("id", staff.id)
+        .or("google_status.is.null,google_status.neq.disconnected")
+        .select("id")
+    : supabase
+        .from("client_google")
+        .update({ status: "disconnected", disconnected_at: now, disconnected_reason: reason })
+        .eq("client_id", client_id)
+        .or("status.is.null,status.neq.disconnected")
+        .select("client_id"));
+  if (error) throw error;
+  if (!data?.length) return;
 
-    const busy = (eventsResp.data.items || [])
-      .filter((e) => e.status !== "cancelled")
-      .map((e) => ({
-        start: DateTime.fromISO(e.start.dateTime || e.start.date, { zone: "utc" }).toMillis(),
-        end: DateTime.fromISO(e.end.dateTime || e.end.date, { zone: "utc" }).toMillis(),
-      }));
+  if (!own) await stopClientWatchChannels(client_id);
+  await enqueueAfterCommit("google-disconnected", [
+    ["alert.google_disconnected", { client_id, staff_id: own ? staff.id : null, reason }],
+  ]);
+}
 
-    const durMs = Number(duration_minutes) * 60 * 1000;
-    const stepMs = rules.step_minutes * 60 * 1000;
+// Channels running on the client's own connection (its calendar and staff without their
+// own account) are marked stopped; Google can't be asked to stop them without a token.
+async function stopClientWatchChannels(client_id) {
+  const { data: ownAccounts, error: sErr } = await supabase
+    .from("staff")
+    .select("id,refresh_token")
+    .eq("client_id", client_id);
+  if (sErr) throw sErr;
+  const keep = new Set((ownAccounts || []).filter((m) => m.refresh_token).map((m) => m.id));
+
+  const { data: channels, error } = await supabase
+    .from("google_watch_channels")
+    .select("id,staff_id")
+    .eq("client_id", client_id)
+    .eq("status", "active");
+  if (error) throw error;
 
-    const slots = [];
-    for (let t = dayStart.toUTC().toMillis(); t + durMs <= dayEnd.toUTC().toMillis(); t += stepMs) {
-      const slotStartUTC = DateTime.fromMillis(t, { zone: "utc" });
-      const slotEndUTC = DateTime.fromMillis(t + durMs, { zone: "utc" });
+  const ids = (channels || []).filter((c) => !keep.has(c.staff_id)).map((c) => c.id);
+  if (!ids.length) return;
+  const { error: updErr } = await supabase.from("google_watch_channels").update({ status: "stopped" }).in("id", ids);
+  if (updErr) throw updErr;
+}
 
-      const check = validateAgainstBusinessRules({
-        startISO: slotStartUTC.setZone(rules.timezone).toISO(),
-        endISO: slotEndUTC.setZone(rules.timezone).toISO(),
-        rules,
-      });
-      if (!check.ok) continue;
-
-      const overlaps = busy.some((b) => t < b.end && t + durMs > b.start);
-      if (!overlaps) {
-        slots.push({
-          start_time: slotStartUTC.setZone(rules.timezone).toISO(),
-          end_time: slotEndUTC.setZone(rules.timezone).toISO(),
-        });
-      }
-    }
+async function sendGoogleDisconnectedAlert({ client_id, staff_id, reason }) {
+  const to = process.env.OPS_ALERT_EMAIL;
+  if (!to) {
+    logError(null, new Error("OPS_ALERT_EMAIL not set"), "alerts/google-disconnected", { client_id, staff_id });
+    return;
+  }
+  const { data: client } = await supabase.from("clients").select("name").eq("id", client_id).maybeSingle();
+  const name = client?.name || client_id;
+  // a staff member's own account is reconnected through a link for them, not the client's
+  const { data: member } = staff_id
+    ? await supabase.from("staff").select("name").eq("id", staff_id).maybeSingle()
+    : { data: null };
+  const who = staff_id ? `${member?.name || "Staff member"} at ${name}` : name;
+  const account = staff_id
+    ? `the own Google account of staff member <b>${escapeHtml(who)}</b> (${escapeHtml(staff_id)})`
+    : `<b>${escapeHtml(name)}</b> (${escapeHtml(client_id)})`;
+  const linkBody = staff_id ? ` with <code>{"staff_id": "${escapeHtml(staff_id)}"}</code>` : "";
+  await sendMessage({
+    channel: "email",
+    to,
+    subject: `Google Calendar disconnected: ${who}`,
+    html: `<p>Google rejected the stored refresh token for ${account}. ${
+      staff_id ? "Bookings with this staff member" : "Booking tools"
+    } answer 503 until it is reconnected.</p>
+<p>Reason: ${escapeHtml(reason || "invalid_grant")}</p>
+<p>Issue a new onboarding link for this account with
+<code>POST /admin/clients/${escapeHtml(client_id)}/google/onboarding</code>${linkBody},
+then re-register push sync with <code>POST /admin/google/watch</code>.</p>`,
+  });
+}
 
-    return res.json({ ok: true, date, timezone: rules.timezone, slots });
-  } catch (e) {
-    logError(req, e, "tools/check-availability");
-    return res.status(500).json({ ok: false, error: e.message });
+// Calendar for a client, or for one of its staff members when given.
+// Staff may connect their own Google account (refresh_token) or just point at a calendar in the client's.
+// client_google.busy_calendar_ids (text[]) lists other calendars that should also block slots.
+async function getClientCalendar(client_id, staff = null) {
+  const { data, error } = await supabase
+    .from("client_google")
+    .select("refresh_token, calendar_id, busy_calendar_ids, status")
+    .eq("client_id", client_id)
+    .maybeSingle();
+
+  if (error) throw new Error("Client Google not connected: " + error.message);
+
+  const own = Boolean(staff?.refresh_token);
+  if (own ? staff.google_status === "disconnected" : data?.status === "disconnected") {
+    throw googleDisconnectedError(staff);
   }
-});
 
-// 2) BOOK APPOINTMENT
-app.post("/tools/book-appointment", toolAuth, async (req, res) => {
-  try {
-    if (!enforceClientIdMatch(req, res)) return;
-    const client_id = req.client_id;
+  const refresh_token = staff?.refresh_token || data?.refresh_token;
+  if (!refresh_token) throw new Error("Missing refresh_token for client");
 
-    const {
-      start_time,
-      end_time,
-      timezone = "America/Toronto",
-      title = "Appointment",
-      customer_name,
-      customer_email,
-      customer_phone,
-      notes,
-      idempotency_key,
-    } = req.body || {};
+  const oauth2Client = getOAuthClient();
+  oauth2Client.setCredentials({ refresh_token });
 
-    if (!start_time || !end_time)
-      return res.status(400).json({ ok: false, error: "Missing start_time/end_time" });
+  // the access token fetched here is the one the calendar calls below reuse
+  try {
+    await oauth2Client.getAccessToken();
+  } catch (e) {
+    if (!isInvalidGrant(e)) throw e;
+    await markGoogleDisconnected(client_id, staff, e.response?.data?.error_description || e.message);
+    throw googleDisconnectedError(staff);
+  }
 
-    if (!idempotency_key)
-      return res.status(400).json({ ok: false, error: "Missing idempotency_key" });
+  const calendar = google.calendar({ version: "v3", auth: oauth2Client });
+  const calendar_id = staff?.calendar_id || data?.calendar_id || "primary";
 
-    const rules = getDefaultBusinessRules(timezone);
-    const ruleCheck = validateAgainstBusinessRules({ startISO: start_time, endISO: end_time, rules });
-    if (!ruleCheck.ok) return res.status(400).json({ ok: false, error: ruleCheck.error });
+  // calendars whose events block slots: the booking calendar plus any configured extras
+  const extra = (staff ? staff.busy_calendar_ids : data?.busy_calendar_ids) || [];
+  const busy_calendar_ids = [...new Set([calendar_id, ...extra])];
 
-    // prevent overlap (db)
-    const overlapDb = await hasOverlapInSupabase(client_id, start_time, end_time);
-    if (overlapDb) return res.status(409).json({ ok: false, error: "Time slot already booked" });
+  return { calendar, calendar_id, busy_calendar_ids };
+}
 
-    const { calendar, calendar_id } = await getClientCalendar(client_id);
+// ------------------------------------------------------------
+// Business rules (per client, table: client_business_rules)
+//
+//   client_id     uuid (unique)
+//   timezone      text            e.g. "America/Toronto"
+//   step_minutes  int             slot granularity
+//   weekly_hours  jsonb           { "mon": [{ "start": "09:00", "end": "17:00" }], ..., "sun": [] }
+//   breaks        jsonb           [{ "start": "12:00", "end": "13:00", "days": ["mon", ...] }]  (no days = daily)
+//   holidays      jsonb           [{ "date": "2026-12-25" | "12-25", "name": "Christmas" }]   ("MM-DD" repeats yearly)
+//   closures      jsonb           [{ "start_date": "2026-08-01", "end_date": "2026-08-14", "reason": "Vacation" }]
+// ------------------------------------------------------------
+const DEFAULT_TIMEZONE = "America/Toronto";
+const WEEKDAY_KEYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"]; // luxon weekday 1..7
 
-    // prevent overlap (google)
-    const free = await isFreeInGoogleCalendar(calendar, calendar_id, start_time, end_time);
-    if (!free) return res.status(409).json({ ok: false, error: "Time slot busy in calendar" });
+function getDefaultBusinessRules(timezone = DEFAULT_TIMEZONE) {
+  const weekday = [{ start: "09:00", end: "17:00" }];
+  return {
+    timezone,
+    step_minutes: 15,
+    weekly_hours: { mon: weekday, tue: weekday, wed: weekday, thu: weekday, fri: weekday, sat: [], sun: [] },
+    breaks: [{ start: "12:00", end: "13:00", name: "Lunch" }],
+    holidays: [],
+    closures: [],
+  };
+}
 
-    // create event
-    const eventResp = await calendar.events.insert({
-      calendarId: calendar_id,
-      requestBody: {
-        summary: title,
-        description: [
-          "Booked by AI",
-          customer_name ? `Name: ${customer_name}` : null,
-          customer_email ? `Email: ${customer_email}` : null,
-          customer_phone ? `Phone: ${customer_phone}` : null,
-          notes ? `Notes: ${notes}` : null,
-        ].filter(Boolean).join("\n"),
-        start: { dateTime: start_time, timeZone: timezone },
-        end: { dateTime: end_time, timeZone: timezone },
-      },
-    });
+async function getClientBusinessRules(client_id) {
+  const { data, error } = await supabase
+    .from("client_business_rules")
+    .select("timezone,step_minutes,weekly_hours,breaks,holidays,closures")
+    .eq("client_id", client_id)
+    .maybeSingle();
+  if (error) throw error;
 
-    const google_event_id = eventResp.data.id;
+  const rules = getDefaultBusinessRules(data?.timezone || DEFAULT_TIMEZONE);
+  if (!data) return rules;
 
-    // store in db
-    const { data, error } = await supabase
-      .from("appointments")
+  if (data.step_minutes) rules.step_minutes = Number(data.step_minutes);
+  if (data.weekly_hours) {
+    rules.weekly_hours = Object.fromEntries(WEEKDAY_KEYS.map((k) => [k, data.weekly_hours[k] || []]));
+  }
+  if (Array.isArray(data.breaks)) rules.breaks = data.breaks;
+  if (Array.isArray(data.holidays)) rules.holidays = data.holidays;
+  if (Array.isArray(data.closures)) rules.closures = data.closures;
+  return rules;
+}
+
+// "HH:mm" on the given local day
+function atClock(day, hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return day.startOf("day").set({ hour: h, minute: m || 0 });
+}
+
+// Why a local day is closed, or null when it is a normal working day.
+function getClosureReason(day, rules) {
+  const ymd = day.toISODate();
+  const md = day.toFormat("MM-dd");
+
+  const holiday = (rules.holidays || []).find((h) => h?.date === ymd || h?.date === md);
+  if (holiday) return `Closed for ${holiday.name || "holiday"}`;
+
+  const closure = (rules.closures || []).find(
+    (c) => c?.start_date && ymd >= c.start_date && ymd <= (c.end_date || c.start_date)
+  );
+  if (closure) return `Closed${closure.reason ? ` (${closure.reason})` : ""}`;
+
+  const windows = rules.weekly_hours?.[WEEKDAY_KEYS[day.weekday - 1]] || [];
+  if (!windows.length) return `Closed on ${day.toFormat("cccc")}`;
+
+  return null;
+}
+
+// Opening windows and breaks for one local day, as luxon intervals.
+function getDaySchedule(day, rules) {
+  const closed = getClosureReason(day, rules);
+  if (closed) return { closed, windows: [], breaks: [] };
+
+  const key = WEEKDAY_KEYS[day.weekday - 1];
+  const windows = (rules.weekly_hours[key] || [])
+    .map((w) => Interval.fromDateTimes(atClock(day, w.start), atClock(day, w.end)))
+    .filter((i) => i.isValid);
+  const breaks = (rules.breaks || [])
+    .filter((b) => !Array.isArray(b.days) || b.days.includes(key))
+    .map((b) => Interval.fromDateTimes(atClock(day, b.start), atClock(day, b.end)))
+    .filter((i) => i.isValid);
+
+  return { closed: null, windows, breaks };
+}
+
+function validateAgainstBusinessRules({ startISO, endISO, rules }) {
+  const start = DateTime.fromISO(startISO, { zone: rules.timezone });
+  const end = DateTime.fromISO(endISO, { zone: rules.timezone });
+
+  if (!start.isValid || !end.isValid) return { ok: false, error: "Invalid start/end time" };
+  if (end <= start) return { ok: false, error: "end_time must be after start_time" };
+
+  const schedule = getDaySchedule(start, rules);
+  if (schedule.closed) return { ok: false, error: schedule.closed };
+
+  const slotInterval = Interval.fromDateTimes(start, end);
+  if (!schedule.windows.some((w) => w.engulfs(slotInterval))) {
+    return { ok: false, error: "Outside business hours" };
+  }
+  if (schedule.breaks.some((b) => b.overlaps(slotInterval))) {
+    return { ok: false, error: "Conflicts with a break" };
+  }
+
+  return { ok: true };
+}
+
+// Candidate slots for one local date that satisfy the rules and avoid `busy` ({ start, end } in ms).
+// With a service, its buffers must also be free and the slot must fall inside its booking window.
+function generateDaySlots({ date, durationMinutes, rules, busy = [], service = null }) {
+  const day = DateTime.fromISO(date, { zone: rules.timezone });
+  if (!day.isValid) return [];
+
+  const durMs = Number(durationMinutes) * 60 * 1000;
+  const stepMs = rules.step_minutes * 60 * 1000;
+  const beforeMs = Number(service?.buffer_before_minutes || 0) * 60 * 1000;
+  const afterMs = Number(service?.buffer_after_minutes || 0) * 60 * 1000;
+  const slots = [];
+
+  for (const window of getDaySchedule(day, rules).windows) {
+    for (let t = window.start.toMillis(); t + durMs <= window.end.toMillis(); t += stepMs) {
+      const startISO = DateTime.fromMillis(t, { zone: rules.timezone }).toISO();
+      const endISO = DateTime.fromMillis(t + durMs, { zone: rules.timezone }).toISO();
+
+      if (!validateAgainstBusinessRules({ startISO, endISO, rules }).ok) continue;
+      if (service && !checkBookingWindow({ startISO, service, timezone: rules.timezone }).ok) continue;
+      if (busy.some((b) => t - beforeMs < b.end && t + durMs + afterMs > b.start)) continue;
+
+      slots.push({ start_time: startISO, end_time: endISO });
+    }
+  }
+  return slots;
+}
+
+// ------------------------------------------------------------
+// Services (table: services)
+//
+//   id, client_id, name, description, is_active
+//   duration_minutes                            slot length
+//   buffer_before_minutes, buffer_after_minutes must also be free around the slot
+//   min_notice_minutes                          earliest bookable = now + notice
+//   max_days_ahead                              latest bookable day, counted from today
+// ------------------------------------------------------------
+const SERVICE_COLUMNS =
+  "id,name,description,duration_minutes,buffer_before_minutes,buffer_after_minutes,min_notice_minutes,max_days_ahead";
+
+async function listClientServices(client_id) {
+  const { data, error } = await supabase
+    .from("services")
+    .select(SERVICE_COLUMNS)
+    .eq("client_id", client_id)
+    .eq("is_active", true)
+    .order("name", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// New bookings need an active service; `includeInactive` is for existing appointments, which
+// can still be moved after their service is retired (like inactive staff in getStaffMember).
+async function getClientService(client_id, service_id, { includeInactive = false } = {}) {
+  let q = supabase.from("services").select(SERVICE_COLUMNS).eq("client_id", client_id).eq("id", service_id);
+  if (!includeInactive) q = q.eq("is_active", true);
+  const { data, error } = await q.maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, "Unknown service_id");
+  return data;
+}
+
+function checkBookingWindow({ startISO, service, timezone, now = DateTime.now() }) {
+  const start = DateTime.fromISO(startISO, { zone: timezone });
+  if (!start.isValid) return { ok: false, error: "Invalid start time" };
+
+  if (service?.min_notice_minutes && start < now.plus({ minutes: Number(service.min_notice_minutes) })) {
+    return { ok: false, error: `Needs at least ${service.min_notice_minutes} minutes notice` };
+  }
+  if (service?.max_days_ahead != null) {
+    const lastDay = now.setZone(timezone).startOf("day").plus({ days: Number(service.max_days_ahead) }).endOf("day");
+    if (start > lastDay) return { ok: false, error: `Can only book up to ${service.max_days_ahead} days ahead` };
+  }
+  return { ok: true };
+}
+
+// Interval that must be free for a booking, i.e. the slot widened by the service buffers (UTC ISO).
+function withServiceBuffers(startISO, endISO, service) {
+  return {
+    startISO: DateTime.fromISO(startISO)
+      .minus({ minutes: Number(service?.buffer_before_minutes || 0) })
+      .toUTC()
+      .toISO(),
+    endISO: DateTime.fromISO(endISO)
+      .plus({ minutes: Number(service?.buffer_after_minutes || 0) })
+      .toUTC()
+      .toISO(),
+  };
+}
+
+// ------------------------------------------------------------
+// Staff / resources (table: staff)
+//
+//   id, client_id, name, kind ("person" | "resource"), is_active
+//   calendar_id       their Google calendar
+//   busy_calendar_ids optional text[], other calendars whose events also block them
+//   refresh_token     optional, when they connected their own Google account
+//   google_status     "disconnected" once Google rejects that refresh_token (see Google OAuth helpers)
+//                     until they reconnect through an onboarding link issued for them
+//   weekly_hours      optional, same shape as client_business_rules.weekly_hours
+//   service_ids       optional uuid[], services they offer (null = all)
+//   last_assigned_at  round-robin cursor
+//
+// Clients without staff rows keep booking against the single client_google calendar.
+// ------------------------------------------------------------
+const STAFF_COLUMNS =
+  "id,name,kind,is_active,calendar_id,busy_calendar_ids,refresh_token,google_status,weekly_hours,service_ids," +
+  "last_assigned_at";
+
+function staffOffersService(member, service_id) {
+  return !service_id || !member.service_ids || member.service_ids.includes(service_id);
+}
+
+async function listClientStaff(client_id, service_id = null) {
+  const { data, error } = await supabase
+    .from("staff")
+    .select(STAFF_COLUMNS)
+    .eq("client_id", client_id)
+    .eq("is_active", true)
+    .order("last_assigned_at", { ascending: true, nullsFirst: true });
+  if (error) throw error;
+  return (data || []).filter((m) => staffOffersService(m, service_id));
+}
+
+// Inactive members are included so existing appointments can still be cancelled/moved.
+async function getStaffMember(client_id, staff_id) {
+  const { data, error } = await supabase
+    .from("staff")
+    .select(STAFF_COLUMNS)
+    .eq("client_id", client_id)
+    .eq("id", staff_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, "Unknown staff_id");
+  return data;
+}
+
+// A member asked for by name on a new booking: active and offering the service.
+async function getBookableStaffMember(client_id, staff_id, service_id = null) {
+  const member = await getStaffMember(client_id, staff_id);
+  if (!member.is_active) throw httpError(409, "That staff member is not taking bookings");
+  if (!staffOffersService(member, service_id)) throw httpError(409, "That staff member does not offer this service");
+  return member;
+}
+
+// Who can take a slot: the requested member, else the active members offering the service.
+// The client's own calendar (null) stands in only for clients that have no staff rows at all;
+// a client with staff but nobody for this service gets no candidates. `existingStaffId` is the
+// member an appointment being moved already has; they keep it even if deactivated since.
+async function slotCandidates(client_id, staff_id, service, existingStaffId = null) {
+  if (staff_id && staff_id === existingStaffId) return [await getStaffMember(client_id, staff_id)];
+  if (staff_id) return [await getBookableStaffMember(client_id, staff_id, service?.id || null)];
+  const staff = await listClientStaff(client_id, service?.id || null);
+  if (staff.length) return staff;
+
+  const { data, error } = await supabase.from("staff").select("id").eq("client_id", client_id).limit(1);
+  if (error) throw error;
+  return data?.length ? [] : [null];
+}
+
+// Client rules narrowed to the member's own working hours.
+function rulesForStaff(rules, staff) {
+  if (!staff?.weekly_hours) return rules;
+  return {
+    ...rules,
+    weekly_hours: Object.fromEntries(WEEKDAY_KEYS.map((k) => [k, staff.weekly_hours[k] || []])),
+  };
+}
+
+function publicStaff(staff) {
+  return staff ? { id: staff.id, name: staff.name, kind: staff.kind || "person" } : null;
+}
+
+// Calendar holding an existing appointment's event.
+async function getAppointmentCalendar(appt) {
+  const staff = appt.staff_id ? await getStaffMember(appt.client_id, appt.staff_id) : null;
+  const { calendar, calendar_id } = await getClientCalendar(appt.client_id, staff);
+  return { calendar, calendar_id: appt.google_calendar_id || calendar_id, staff };
+}
+
+// ------------------------------------------------------------
+// Slot reservations (table: slot_reservations)
+//
+//   id, client_id, staff_id (null when the client has no staff), created_at
+//   start_time, end_time   the slot including service buffers
+//   kind                   "booking" (in-flight book/reschedule) | "hold" (offered during a live call)
+//                          a hold becomes "booking" once book-appointment claims it
+//   status                 "active" | "confirmed" | "released" | "expired"
+//   expires_at             an active row stops counting after this, so a crash can't pin a slot
+//   call_id                Retell call that placed a hold
+//   appointment_id         set when confirmed
+//
+// Expected constraint, which makes overlapping inserts fail with 23P01:
+//   EXCLUDE USING gist (client_id WITH =, coalesce(staff_id, '00000000-0000-0000-0000-000000000000') WITH =,
+//                       tstzrange(start_time, end_time) WITH &&) WHERE (status = 'active')
+// reserveSlot() also re-checks after inserting (oldest reservation wins) so a missing constraint
+// degrades to the same outcome instead of a double booking. Lapsed rows are swept to "expired"
+// every minute so the constraint stops seeing them.
+// ------------------------------------------------------------
+const BOOKING_RESERVATION_TTL_MS = 2 * 60 * 1000;
+const HOLD_TTL_MS = 3 * 60 * 1000;
+const MAX_HOLD_TTL_MS = 10 * 60 * 1000;
+
+function activeReservationsQuery({ client_id, staff_id, startISO, endISO }) {
+  let q = supabase
+    .from("slot_reservations")
+    .select("id,created_at,start_time,end_time,kind,call_id")
+    .eq("client_id", client_id)
+    .eq("status", "active")
+    .gt("expires_at", new Date().toISOString())
+    .lt("start_time", endISO)
+    .gt("end_time", startISO);
+  if (staff_id != null) q = q.eq("staff_id", staff_id);
+  return q;
+}
+
+// Returns the reservation row, or null when an overlapping one already exists.
+async function reserveSlot({
+  client_id,
+  staff_id = null,
+  startISO,
+  endISO,
+  kind = "booking",
+  ttlMs = BOOKING_RESERVATION_TTL_MS,
+  call_id = null,
+}) {
+  const insert = () =>
+    supabase
+      .from("slot_reservations")
       .insert({
         client_id,
-        customer_name: customer_name || null,
-        customer_email: customer_email || null,
-        customer_phone: customer_phone || null,
-        start_time,
-        end_time,
-        timezone,
-        status: "booked",
-        google_calendar_id: calendar_id,
-        google_event_id,
-        title,
-        notes: notes || null,
-        idempotency_key,
+        staff_id,
+        start_time: startISO,
+        end_time: endISO,
+        kind,
+        call_id,
+        status: "active",
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
       })
-      .select()
+      .select("id,created_at,expires_at,staff_id,start_time,end_time")
+      .single();
+
+  let { data: reservation, error } = await insert();
+  if (error?.code === "23P01") {
+    // the conflicting row may just be lapsed and not swept yet
+    await sweepExpiredReservations();
+    ({ data: reservation, error } = await insert());
+    if (error?.code === "23P01") return null;
+  }
+  if (error) throw error;
+
+  const { data: overlapping, error: qErr } = await activeReservationsQuery({ client_id, staff_id, startISO, endISO });
+  if (qErr) {
+    await releaseReservation(reservation.id);
+    throw qErr;
+  }
+  const lost = (overlapping || []).some(
+    (r) =>
+      r.id !== reservation.id &&
+      (r.created_at < reservation.created_at || (r.created_at === reservation.created_at && r.id < reservation.id))
+  );
+  if (lost) {
+    await releaseReservation(reservation.id);
+    return null;
+  }
+  return reservation;
+}
+
+async function releaseReservation(id) {
+  const { error } = await supabase.from("slot_reservations").update({ status: "released" }).eq("id", id);
+  if (error) throw error;
+}
+
+async function sweepExpiredReservations() {
+  const { error } = await supabase
+    .from("slot_reservations")
+    .update({ status: "expired" })
+    .eq("status", "active")
+    .lt("expires_at", new Date().toISOString());
+  if (error) throw error;
+}
+
+// Takes over an active hold for booking: it must belong to the client and not have lapsed.
+// The conditional flip to kind "booking" makes the claim exclusive (a second request with the
+// same hold_id gets 409), and the expiry is pushed out so it can't lapse mid-booking.
+async function claimHold(client_id, hold_id) {
+  const { data: current, error: readErr } = await supabase
+    .from("slot_reservations")
+    .select("expires_at")
+    .eq("id", hold_id)
+    .eq("client_id", client_id)
+    .maybeSingle();
+  if (readErr) throw readErr;
+
+  const { data, error } = await supabase
+    .from("slot_reservations")
+    .update({ kind: "booking", expires_at: new Date(Date.now() + BOOKING_RESERVATION_TTL_MS).toISOString() })
+    .eq("id", hold_id)
+    .eq("client_id", client_id)
+    .eq("kind", "hold")
+    .eq("status", "active")
+    .gt("expires_at", new Date().toISOString())
+    .select("id,staff_id,start_time,end_time,call_id,expires_at");
+  if (error) throw error;
+  if (!data?.length) throw httpError(409, "Hold expired, already being booked, or not found");
+  return { ...data[0], hold_expires_at: current?.expires_at };
+}
+
+// The call's own live hold covering `blocked` (the slot plus buffers), for a booking that
+// doesn't pass hold_id: without it the call's hold would block its own booking.
+async function findCallHold(client_id, call_id, blocked, staff_id = null) {
+  const { data, error } = await supabase
+    .from("slot_reservations")
+    .select("id,staff_id,start_time,end_time")
+    .eq("client_id", client_id)
+    .eq("call_id", String(call_id))
+    .eq("kind", "hold")
+    .eq("status", "active")
+    .gt("expires_at", new Date().toISOString());
+  if (error) throw error;
+  return (
+    (data || []).find(
+      (r) =>
+        (!staff_id || r.staff_id === staff_id) &&
+        DateTime.fromISO(r.start_time) <= DateTime.fromISO(blocked.startISO) &&
+        DateTime.fromISO(blocked.endISO) <= DateTime.fromISO(r.end_time)
+    ) || null
+  );
+}
+
+// A booking that failed hands the hold back to its caller with the expiry it had.
+async function returnHold(hold) {
+  const { error } = await supabase
+    .from("slot_reservations")
+    .update({ kind: "hold", expires_at: hold.hold_expires_at })
+    .eq("id", hold.id)
+    .eq("kind", "booking")
+    .eq("status", "active");
+  if (error) throw error;
+}
+
+// One live hold per call: offering a new slot lets go of the previous one.
+async function releaseCallHolds(client_id, call_id, exceptId = null) {
+  let q = supabase
+    .from("slot_reservations")
+    .update({ status: "released" })
+    .eq("client_id", client_id)
+    .eq("call_id", call_id)
+    .eq("kind", "hold")
+    .eq("status", "active");
+  if (exceptId) q = q.neq("id", exceptId);
+  const { error } = await q;
+  if (error) throw error;
+}
+
+async function confirmReservation(id, appointment_id) {
+  const { error } = await supabase
+    .from("slot_reservations")
+    .update({ status: "confirmed", appointment_id })
+    .eq("id", id);
+  if (error) throw error;
+}
+
+// ------------------------------------------------------------
+// Busy times (one engine for availability and booking)
+//
+// Google side is a single freebusy query over every blocking calendar. Freebusy already
+// leaves out transparent ("free") events and places all-day events by the calendar's own
+// timezone, so nothing is re-parsed here. Booked rows and active reservations in Supabase
+// are merged in so a booking that has not reached Google yet still blocks the slot.
+// ------------------------------------------------------------
+
+// Busy intervals ({ start, end, source } in ms) for every calendar in `calendar_ids`.
+async function fetchGoogleBusy(calendar, calendar_ids, timeMin, timeMax) {
+  const resp = await calendar.freebusy.query({
+    requestBody: { timeMin, timeMax, items: calendar_ids.map((id) => ({ id })) },
+  });
+
+  const busy = [];
+  for (const [id, cal] of Object.entries(resp.data?.calendars || {})) {
+    if (cal.errors?.length) throw new Error(`Calendar ${id} unavailable: ${cal.errors[0].reason}`);
+    for (const b of cal.busy || []) {
+      busy.push({
+        start: DateTime.fromISO(b.start).toMillis(),
+        end: DateTime.fromISO(b.end).toMillis(),
+        source: "calendar",
+      });
+    }
+  }
+  return busy;
+}
+
+// Booked rows block their slot widened by their own service's buffers, so the next booking
+// can't start inside the previous one's clean-up time.
+async function fetchAppointmentBusy({ client_id, staff_id = null, timeMin, timeMax, ignoreAppointmentId = null }) {
+  const { data: services, error: sErr } = await supabase
+    .from("services")
+    .select("id,buffer_before_minutes,buffer_after_minutes")
+    .eq("client_id", client_id);
+  if (sErr) throw sErr;
+  const buffersOf = new Map((services || []).map((s) => [s.id, s]));
+  const maxBefore = Math.max(0, ...(services || []).map((s) => Number(s.buffer_before_minutes || 0)));
+  const maxAfter = Math.max(0, ...(services || []).map((s) => Number(s.buffer_after_minutes || 0)));
+
+  let q = supabase
+    .from("appointments")
+    .select("id,start_time,end_time,service_id")
+    .eq("client_id", client_id)
+    .eq("status", "booked")
+    .lt("start_time", DateTime.fromISO(timeMax).plus({ minutes: maxBefore }).toUTC().toISO())
+    .gt("end_time", DateTime.fromISO(timeMin).minus({ minutes: maxAfter }).toUTC().toISO());
+
+  if (ignoreAppointmentId != null) q = q.neq("id", ignoreAppointmentId);
+  if (staff_id != null) q = q.eq("staff_id", staff_id);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  const min = DateTime.fromISO(timeMin).toMillis();
+  const max = DateTime.fromISO(timeMax).toMillis();
+  return (data || [])
+    .map((a) => {
+      const blocked = withServiceBuffers(a.start_time, a.end_time, buffersOf.get(a.service_id));
+      return {
+        start: DateTime.fromISO(blocked.startISO).toMillis(),
+        end: DateTime.fromISO(blocked.endISO).toMillis(),
+        source: "appointment",
+      };
+    })
+    .filter((b) => b.start < max && b.end > min);
+}
+
+// Holds placed by `call_id` don't block that same call.
+async function fetchReservationBusy({
+  client_id,
+  staff_id = null,
+  timeMin,
+  timeMax,
+  ignoreReservationId = null,
+  call_id = null,
+}) {
+  const { data, error } = await activeReservationsQuery({ client_id, staff_id, startISO: timeMin, endISO: timeMax });
+  if (error) throw error;
+  return (data || [])
+    .filter((r) => r.id !== ignoreReservationId && !(call_id && r.call_id === call_id))
+    .map((r) => ({
+      start: DateTime.fromISO(r.start_time).toMillis(),
+      end: DateTime.fromISO(r.end_time).toMillis(),
+      source: "reservation",
+    }));
+}
+
+// Everything that blocks a client (or one staff member) between timeMin and timeMax (UTC ISO).
+async function getBusyIntervals({
+  client_id,
+  staff = null,
+  timeMin,
+  timeMax,
+  ignoreAppointmentId = null,
+  ignoreReservationId = null,
+  call_id = null,
+}) {
+  const staff_id = staff?.id ?? null;
+  const { calendar, calendar_id, busy_calendar_ids } = await getClientCalendar(client_id, staff);
+  const [appointmentBusy, reservationBusy, calendarBusy] = await Promise.all([
+    fetchAppointmentBusy({ client_id, staff_id, timeMin, timeMax, ignoreAppointmentId }),
+    fetchReservationBusy({ client_id, staff_id, timeMin, timeMax, ignoreReservationId, call_id }),
+    fetchGoogleBusy(calendar, busy_calendar_ids, timeMin, timeMax),
+  ]);
+  return { calendar, calendar_id, busy: [...appointmentBusy, ...reservationBusy, ...calendarBusy] };
+}
+
+const BUSY_ERRORS = {
+  appointment: "Time slot already booked",
+  reservation: "Time slot is held for another caller",
+  calendar: "Time slot busy in calendar",
+};
+
+// Picks who takes a slot: the requested staff member, otherwise the first free one in
+// round-robin order, otherwise (no staff configured) the client's own calendar.
+// The slot is reserved before the busy check (`reserve` sets kind/ttl/call_id of that row), or
+// an already claimed `hold` is used instead; the caller must confirm or release `reservation`.
+// Returns { ok, staff, calendar, calendar_id, reservation } or { ok: false, status, error }.
+async function assignSlot({
+  client_id,
+  rules,
+  service,
+  startISO,
+  endISO,
+  staff_id = null,
+  existingStaffId = null,
+  ignoreAppointmentId = null,
+  reserve = {},
+  hold = null,
+}) {
+  const blocked = withServiceBuffers(startISO, endISO, service);
+
+  if (hold) {
+    const inside =
+      DateTime.fromISO(hold.start_time) <= DateTime.fromISO(blocked.startISO) &&
+      DateTime.fromISO(blocked.endISO) <= DateTime.fromISO(hold.end_time);
+    if (!inside) return { ok: false, status: 409, error: "Requested time is outside the held slot" };
+    staff_id = hold.staff_id;
+  }
+
+  const candidates = await slotCandidates(client_id, staff_id, service, existingStaffId);
+
+  let lastError = { ok: false, status: 409, error: "No staff available at that time" };
+
+  for (const staff of candidates) {
+    const ruleCheck = validateAgainstBusinessRules({ startISO, endISO, rules: rulesForStaff(rules, staff) });
+    if (!ruleCheck.ok) {
+      if (staff_id) return { ok: false, status: 400, error: ruleCheck.error };
+      continue;
+    }
+
+    const reservation =
+      hold ||
+      (await reserveSlot({
+        client_id,
+        staff_id: staff?.id ?? null,
+        startISO: blocked.startISO,
+        endISO: blocked.endISO,
+        ...reserve,
+      }));
+    if (!reservation) {
+      lastError = { ok: false, status: 409, error: BUSY_ERRORS.reservation };
+      continue;
+    }
+    // a hold belongs to the caller; only reservations made here are released on failure
+    const release = () => (hold ? Promise.resolve() : releaseReservation(reservation.id));
+
+    let checked;
+    try {
+      checked = await getBusyIntervals({
+        client_id,
+        staff,
+        timeMin: blocked.startISO,
+        timeMax: blocked.endISO,
+        ignoreAppointmentId,
+        ignoreReservationId: reservation.id,
+      });
+    } catch (e) {
+      await release();
+      throw e;
+    }
+
+    if (checked.busy.length) {
+      await release();
+      const source = ["appointment", "reservation", "calendar"].find((k) => checked.busy.some((b) => b.source === k));
+      lastError = { ok: false, status: 409, error: BUSY_ERRORS[source] };
+      continue;
+    }
+
+    if (staff) {
+      await supabase.from("staff").update({ last_assigned_at: new Date().toISOString() }).eq("id", staff.id);
+    }
+    return { ok: true, staff, calendar: checked.calendar, calendar_id: checked.calendar_id, reservation };
+  }
+
+  return lastError;
+}
+
+// ------------------------------------------------------------
+// Availability search (single date or a date range)
+// ------------------------------------------------------------
+const MAX_SEARCH_DAYS = 60;
+const TIME_OF_DAY = {
+  morning: { earliest: "00:00", latest: "12:00" },
+  afternoon: { earliest: "12:00", latest: "17:00" },
+  evening: { earliest: "17:00", latest: "24:00" },
+};
+
+// "Tue", "tuesday", 2 -> "tue"
+function normalizeWeekdays(weekdays) {
+  if (!Array.isArray(weekdays) || !weekdays.length) return null;
+  const keys = weekdays
+    .map((d) => (typeof d === "number" ? WEEKDAY_KEYS[d - 1] : String(d).trim().toLowerCase().slice(0, 3)))
+    .filter((k) => WEEKDAY_KEYS.includes(k));
+  return keys.length ? keys : null;
+}
+
+// Slot filter from the caller's preferences ("Tuesday or Thursday afternoon").
+function buildSlotFilter({ weekdays, time_of_day, earliest_time, latest_time } = {}) {
+  const band = TIME_OF_DAY[String(time_of_day || "").toLowerCase()] || {};
+  return {
+    weekdays: normalizeWeekdays(weekdays),
+    earliest: earliest_time || band.earliest || null,
+    latest: latest_time || band.latest || null,
+  };
+}
+
+function slotMatchesFilter(slot, filter, timezone) {
+  const start = DateTime.fromISO(slot.start_time, { zone: timezone });
+  if (filter.weekdays && !filter.weekdays.includes(WEEKDAY_KEYS[start.weekday - 1])) return false;
+  const clock = start.toFormat("HH:mm");
+  if (filter.earliest && clock < filter.earliest) return false;
+  if (filter.latest && clock >= filter.latest) return false;
+  return true;
+}
+
+// Free slots from fromDate to toDate (inclusive, local dates), earliest first. Each slot lists the
+// staff members who can take it (empty when the client has no staff).
+async function findAvailableSlots({
+  client_id,
+  rules,
+  service = null,
+  staff_id = null,
+  existingStaffId = null,
+  fromDate,
+  toDate = fromDate,
+  durationMinutes,
+  filter = {},
+  limit = Infinity,
+  call_id = null,
+}) {
+  const now = DateTime.now().toMillis();
+  const first = DateTime.fromISO(fromDate, { zone: rules.timezone }).startOf("day");
+  const last = DateTime.fromISO(toDate, { zone: rules.timezone }).startOf("day");
+
+  const candidates = await slotCandidates(client_id, staff_id, service, existingStaffId);
+
+  const bySlot = new Map();
+  for (const staff of candidates) {
+    const { busy } = await getBusyIntervals({
+      client_id,
+      staff,
+      timeMin: first.toUTC().toISO(),
+      timeMax: last.endOf("day").toUTC().toISO(),
+      call_id,
+    });
+
+    const staffRules = rulesForStaff(rules, staff);
+    let found = 0;
+    for (let day = first; day <= last && found < limit; day = day.plus({ days: 1 })) {
+      const daySlots = generateDaySlots({
+        date: day.toISODate(),
+        durationMinutes,
+        rules: staffRules,
+        busy,
+        service,
+      }).filter(
+        (slot) => DateTime.fromISO(slot.start_time).toMillis() > now && slotMatchesFilter(slot, filter, rules.timezone)
+      );
+
+      for (const slot of daySlots) {
+        const entry = bySlot.get(slot.start_time) || { ...slot, staff: [] };
+        if (staff) entry.staff.push(publicStaff(staff));
+        bySlot.set(slot.start_time, entry);
+        found++;
+      }
+    }
+  }
+
+  return [...bySlot.values()]
+    .sort((x, y) => DateTime.fromISO(x.start_time).toMillis() - DateTime.fromISO(y.start_time).toMillis())
+    .slice(0, limit);
+}
+
+// ------------------------------------------------------------
+// Customers (table: customers)
+//
+// customers: id, client_id, name, email (lowercased), phone (E.164), created_at, last_seen_at
+// unique (client_id, phone) and (client_id, email). appointments.customer_id and
+// calls.customer_id point here; the loose customer_* columns on appointments stay as the
+// snapshot taken at booking time.
+// ------------------------------------------------------------
+const DEFAULT_COUNTRY_CALLING_CODE = process.env.DEFAULT_COUNTRY_CALLING_CODE || "1";
+
+// E.164 ("+15551234567") or null. Numbers without a country code get the default one.
+function normalizePhone(raw) {
+  if (!raw) return null;
+  const str = String(raw).trim();
+  let digits = str.replace(/\D/g, "");
+  if (str.startsWith("00")) digits = digits.slice(2);
+  else if (!str.startsWith("+")) {
+    const local = digits.replace(/^0+/, "");
+    const cc = DEFAULT_COUNTRY_CALLING_CODE;
+    digits = cc === "1" && local.length === 11 && local.startsWith("1") ? local : cc + local;
+  }
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+function normalizeEmail(raw) {
+  const email = String(raw || "").trim().toLowerCase();
+  return email.includes("@") ? email : null;
+}
+
+const CUSTOMER_COLUMNS = "id,client_id,name,email,phone,created_at,last_seen_at";
+
+async function findCustomer(client_id, { phone, email }) {
+  for (const [column, value] of [
+    ["phone", normalizePhone(phone)],
+    ["email", normalizeEmail(email)],
+  ]) {
+    if (!value) continue;
+    const { data, error } = await supabase
+      .from("customers")
+      .select(CUSTOMER_COLUMNS)
+      .eq("client_id", client_id)
+      .eq(column, value)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+  }
+  return null;
+}
+
+// Finds the customer by phone, then email, and fills in what we learned; creates one
+// otherwise. Returns null when there is nothing to identify them by.
+async function upsertCustomer({ client_id, name, email, phone }) {
+  phone = normalizePhone(phone);
+  email = normalizeEmail(email);
+  name = String(name || "").trim() || null;
+  if (!phone && !email) return null;
+
+  const existing = await findCustomer(client_id, { phone, email });
+  const last_seen_at = new Date().toISOString();
+
+  if (!existing) {
+    const { data, error } = await supabase
+      .from("customers")
+      .insert({ client_id, name, email, phone, last_seen_at })
+      .select(CUSTOMER_COLUMNS)
+      .single();
+    if (error?.code === "23505") return findCustomer(client_id, { phone, email }); // created concurrently
+    if (error) throw error;
+    return data;
+  }
+
+  const patch = { last_seen_at };
+  if (name) patch.name = name;
+  if (phone && !existing.phone) patch.phone = phone;
+  if (email && !existing.email) patch.email = email;
+
+  const { error } = await supabase.from("customers").update(patch).eq("id", existing.id);
+  // phone/email already on another customer record: keep the records apart
+  if (error?.code === "23505") return existing;
+  if (error) throw error;
+  return { ...existing, ...patch };
+}
+
+// ------------------------------------------------------------
+// Appointment matching (find-appointment)
+//
+// Callers give whatever they remember: a number in any format, an email in any case, a
+// misspelt name, "sometime next Tuesday". Candidates in the date window are scored in code;
+// a row has to match on at least one identity field (customer, phone, email, name) to count.
+// ------------------------------------------------------------
+const NAME_MATCH_THRESHOLD = 0.75;
+const AROUND_DATE_DAYS = 7;
+
+function normalizeName(raw) {
+  return String(raw || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, " ")
+    .replace(/['-]/g, "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function stringSimilarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - editDistance(a, b) / len : 0;
+}
+
+// 0..1. Every spoken name part must resemble some part of the stored name, so "Jon" finds
+// "John Smith" and "Jon Smyth" finds "John Smith", but "Smith" alone also does.
+function nameSimilarity(query, candidate) {
+  const q = normalizeName(query);
+  const c = normalizeName(candidate);
+  if (!q.length || !c.length) return 0;
+  const perPart = q.map((part) => Math.max(...c.map((other) => stringSimilarity(part, other))));
+  return Math.min(...perPart);
+}
+
+// last 7 digits catch the same number stored with a different country/area prefix
+function phoneScore(query, candidate) {
+  const a = normalizePhone(query);
+  const b = normalizePhone(candidate);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return a.slice(-7) === b.slice(-7) ? 0.6 : 0;
+}
+
+// Returns { score (0..1), matched_on } for one appointment row, or null if nothing
+// identifies the caller.
+function scoreAppointmentMatch(appt, { customer_id, phone, email, name, around, zone }) {
+  const matched_on = [];
+  let identity = 0;
+
+  if (customer_id && appt.customer_id === customer_id) {
+    identity = 1;
+    matched_on.push("customer");
+  }
+  const phoneHit = phone ? phoneScore(phone, appt.customer_phone) : 0;
+  if (phoneHit) {
+    identity = Math.max(identity, phoneHit);
+    matched_on.push("phone");
+  }
+  if (email && normalizeEmail(email) && normalizeEmail(email) === normalizeEmail(appt.customer_email)) {
+    identity = Math.max(identity, 1);
+    matched_on.push("email");
+  }
+  const nameHit = name ? nameSimilarity(name, appt.customer_name) : 0;
+  if (nameHit >= NAME_MATCH_THRESHOLD) {
+    // a name alone is weaker evidence than a phone or email; with one it firms up a partial match
+    identity = matched_on.length ? Math.min(1, identity + 0.1) : 0.8 * nameHit;
+    matched_on.push("name");
+  }
+  if (!matched_on.length) return null;
+
+  let score = identity;
+  if (around) {
+    const start = DateTime.fromISO(appt.start_time, { zone });
+    // with a time ("Tuesday at 3") closeness is measured in hours, otherwise in days
+    const off = around.hasTime
+      ? Math.abs(start.diff(around.at, "hours").hours) / 24
+      : Math.abs(start.startOf("day").diff(around.at.startOf("day"), "days").days);
+    const closeness = Math.max(0, 1 - off / AROUND_DATE_DAYS);
+    if (closeness > 0) matched_on.push("date");
+    score = 0.75 * identity + 0.25 * closeness;
+  }
+  return { score: Math.round(score * 100) / 100, matched_on };
+}
+
+// ------------------------------------------------------------
+// Bookings
+//
+// Each change reserves the slot first, then writes Google, then Supabase. When a later step
+// fails the earlier ones are undone (event deleted, reservation released), so a failure never
+// leaves a calendar event without an appointment row or the other way round.
+//
+// Changes made by the voice agent carry the Retell call: appointments.call_id / agent_id on
+// the row a call created (a reschedule creates one), cancelled_call_id on one it cancelled.
+// A reschedule's row points back through previous_appointment_id; cancellations stamp
+// cancelled_at. attendance ("attended" | "no_show") is recorded afterwards by the business.
+// ------------------------------------------------------------
+function eventDescription(header, { customer_name, customer_email, customer_phone, notes, call_id }) {
+  return [
+    header,
+    customer_name ? `Name: ${customer_name}` : null,
+    customer_email ? `Email: ${customer_email}` : null,
+    customer_phone ? `Phone: ${customer_phone}` : null,
+    notes ? `Notes: ${notes}` : null,
+    call_id ? `Retell call: ${call_id}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Already-deleted events (404/410) count as deleted.
+async function deleteCalendarEvent(calendar, calendarId, eventId) {
+  try {
+    await calendar.events.delete({ calendarId, eventId });
+  } catch (e) {
+    const code = e?.code || e?.response?.status;
+    if (code !== 404 && code !== 410) throw e;
+  }
+}
+
+// Runs an undo step; its own failure is logged rather than hiding the original error.
+async function compensate(where, fn, extra = {}) {
+  try {
+    await fn();
+  } catch (e) {
+    logError(null, e, where, { ...extra, compensation: true });
+  }
+}
+
+function endFromService(startISO, service, timezone) {
+  return DateTime.fromISO(startISO, { zone: timezone }).plus({ minutes: service.duration_minutes }).toISO();
+}
+
+// Validates a requested slot against the rules and the service's booking window and returns
+// its end time (a service fixes the length, so end_time is then optional).
+function checkRequestedSlot({ start_time, end_time, service, rules }) {
+  if (service && start_time) end_time = endFromService(start_time, service, rules.timezone);
+  if (!start_time || !end_time) throw httpError(400, "Missing start_time/end_time");
+
+  const ruleCheck = validateAgainstBusinessRules({ startISO: start_time, endISO: end_time, rules });
+  if (!ruleCheck.ok) throw httpError(400, ruleCheck.error);
+
+  if (service) {
+    const windowCheck = checkBookingWindow({ startISO: start_time, service, timezone: rules.timezone });
+    if (!windowCheck.ok) throw httpError(400, windowCheck.error);
+  }
+  return end_time;
+}
+
+async function getClientAppointment(client_id, appointment_id) {
+  const { data, error } = await supabase
+    .from("appointments")
+    .select("*")
+    .eq("id", appointment_id)
+    .eq("client_id", client_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, "Appointment not found");
+  return data;
+}
+
+async function createBooking({
+  client_id,
+  start_time,
+  end_time,
+  service_id = null,
+  staff_id = null,
+  title,
+  customer_name,
+  customer_email,
+  customer_phone,
+  customer_id = null,
+  notes,
+  idempotency_key = null,
+  hold_id = null,
+  call_id = null,
+  agent_id = null,
+}) {
+  const service = service_id ? await getClientService(client_id, service_id) : null;
+  const rules = await getClientBusinessRules(client_id);
+  const { timezone } = rules;
+
+  end_time = checkRequestedSlot({ start_time, end_time, service, rules });
+  title = title || service?.name || "Appointment";
+
+  // a returning caller (lookup-caller) can book by customer_id without repeating their details
+  if (customer_id) {
+    const { data: known, error: cErr } = await supabase
+      .from("customers")
+      .select(CUSTOMER_COLUMNS)
+      .eq("id", customer_id)
+      .eq("client_id", client_id)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (!known) throw httpError(404, "Customer not found");
+    customer_name = customer_name || known.name;
+    customer_email = customer_email || known.email;
+    customer_phone = customer_phone || known.phone;
+  }
+  customer_phone = normalizePhone(customer_phone) || customer_phone || null;
+  customer_email = normalizeEmail(customer_email) || customer_email || null;
+  const customer = await upsertCustomer({
+    client_id,
+    name: customer_name,
+    email: customer_email,
+    phone: customer_phone,
+  });
+
+  // prevent overlap (db + google), pick the staff member and hold the slot
+  if (!hold_id && call_id) {
+    const blocked = withServiceBuffers(start_time, end_time, service);
+    hold_id = (await findCallHold(client_id, call_id, blocked, staff_id))?.id || null;
+  }
+  const hold = hold_id ? await claimHold(client_id, hold_id) : null;
+  const assigned = await assignSlot({
+    client_id,
+    rules,
+    service,
+    startISO: start_time,
+    endISO: end_time,
+    staff_id,
+    hold,
+  }).catch((e) => ({ ok: false, thrown: e }));
+  if (!assigned.ok) {
+    if (hold) await compensate("booking/return-hold", () => returnHold(hold), { hold_id: hold.id });
+    throw assigned.thrown || httpError(assigned.status, assigned.error);
+  }
+  const { calendar, calendar_id, staff, reservation } = assigned;
+
+  let google_event_id = null;
+  try {
+    const eventResp = await calendar.events.insert({
+      calendarId: calendar_id,
+      requestBody: {
+        summary: title,
+        description: eventDescription("Booked by AI", {
+          customer_name,
+          customer_email,
+          customer_phone,
+          notes,
+          call_id,
+        }),
+        start: { dateTime: start_time, timeZone: timezone },
+        end: { dateTime: end_time, timeZone: timezone },
+      },
+    });
+    google_event_id = eventResp.data.id;
+
+    const { data: appointment, error } = await supabase
+      .from("appointments")
+      .insert({
+        client_id,
+        customer_name: customer_name || null,
+        customer_email: customer_email || null,
+        customer_phone: customer_phone || null,
+        customer_id: customer?.id || null,
+        start_time,
+        end_time,
+        timezone,
+        status: "booked",
+        google_calendar_id: calendar_id,
+        google_event_id,
+        service_id: service?.id || null,
+        staff_id: staff?.id || null,
+        title,
+        notes: notes || null,
+        idempotency_key,
+        call_id,
+        agent_id,
+      })
+      .select()
+      .single();
+    if (error) throw error;
+
+    await compensate("booking/confirm-reservation", () => confirmReservation(reservation.id, appointment.id), {
+      appointment_id: appointment.id,
+    });
+    await enqueueAfterCommit("booking", [
+      ["notify.appointment", { appointment_id: appointment.id, kind: "confirmation" }],
+      webhookEvent(client_id, "appointment.booked", appointmentEventData(appointment)),
+    ]);
+    return { appointment, service, staff };
+  } catch (e) {
+    if (google_event_id) {
+      await compensate("booking/delete-event", () => deleteCalendarEvent(calendar, calendar_id, google_event_id), {
+        google_event_id,
+      });
+    }
+    // a caller's hold goes back to them (it lapses on its own); our own reservation is released
+    if (hold) await compensate("booking/return-hold", () => returnHold(hold), { hold_id: hold.id });
+    else await compensate("booking/release-reservation", () => releaseReservation(reservation.id));
+    throw e;
+  }
+}
+
+// The new slot is booked before the old one is touched, so a failure part-way leaves the
+// original appointment (and its event) exactly as it was.
+async function rescheduleBooking({
+  client_id,
+  appointment_id,
+  new_start_time,
+  new_end_time,
+  new_title,
+  notes,
+  staff_id,
+  call_id = null,
+  agent_id = null,
+}) {
+  const oldAppt = await getClientAppointment(client_id, appointment_id);
+  if (oldAppt.status !== "booked") throw httpError(409, `Appointment is ${oldAppt.status}`);
+
+  const rules = await getClientBusinessRules(client_id);
+  const { timezone } = rules;
+  const service = oldAppt.service_id
+    ? await getClientService(client_id, oldAppt.service_id, { includeInactive: true })
+    : null;
+
+  if (!new_start_time || (!service && !new_end_time)) throw httpError(400, "Missing new_start_time/new_end_time");
+  // same rules as a new booking of the service
+  new_end_time = checkRequestedSlot({ start_time: new_start_time, end_time: new_end_time, service, rules });
+
+  // stays with the same staff member unless asked otherwise
+  const assigned = await assignSlot({
+    client_id,
+    rules,
+    service,
+    startISO: new_start_time,
+    endISO: new_end_time,
+    staff_id: staff_id || oldAppt.staff_id || null,
+    existingStaffId: oldAppt.staff_id || null,
+    ignoreAppointmentId: oldAppt.id,
+  });
+  if (!assigned.ok) throw httpError(assigned.status, assigned.error);
+  const { calendar, calendar_id, staff, reservation } = assigned;
+
+  const title = new_title || oldAppt.title || "Appointment (Rescheduled)";
+  let newGoogleEventId = null;
+  let newAppt = null;
+  try {
+    const eventResp = await calendar.events.insert({
+      calendarId: calendar_id,
+      requestBody: {
+        summary: title,
+        description: eventDescription("Rescheduled by AI", { ...oldAppt, notes, call_id }),
+        start: { dateTime: new_start_time, timeZone: timezone },
+        end: { dateTime: new_end_time, timeZone: timezone },
+      },
+    });
+    newGoogleEventId = eventResp.data.id;
+
+    const { data, error: insErr } = await supabase
+      .from("appointments")
+      .insert({
+        client_id,
+        customer_name: oldAppt.customer_name || null,
+        customer_email: oldAppt.customer_email || null,
+        customer_phone: oldAppt.customer_phone || null,
+        customer_id: oldAppt.customer_id || null,
+        start_time: new_start_time,
+        end_time: new_end_time,
+        timezone,
+        status: "booked",
+        google_calendar_id: calendar_id,
+        google_event_id: newGoogleEventId,
+        previous_appointment_id: oldAppt.id,
+        ics_uid: oldAppt.ics_uid || oldAppt.id,
+        ics_sequence: (oldAppt.ics_sequence || 0) + 1,
+        call_id,
+        agent_id,
+        service_id: oldAppt.service_id || null,
+        staff_id: staff?.id || null,
+        title,
+        notes: notes || null,
+      })
+      .select()
+      .single();
+    if (insErr) throw insErr;
+    newAppt = data;
+
+    // only flip the old row if nobody else changed it meanwhile
+    const { data: marked, error: updErr } = await supabase
+      .from("appointments")
+      .update({ status: "rescheduled" })
+      .eq("id", oldAppt.id)
+      .eq("status", "booked")
+      .select("id");
+    if (updErr) throw updErr;
+    if (!marked?.length) throw httpError(409, "Appointment was changed by another request");
+  } catch (e) {
+    if (newAppt) {
+      await compensate("reschedule/delete-row", async () => {
+        const { error } = await supabase.from("appointments").delete().eq("id", newAppt.id);
+        if (error) throw error;
+      });
+    }
+    if (newGoogleEventId) {
+      await compensate("reschedule/delete-event", () => deleteCalendarEvent(calendar, calendar_id, newGoogleEventId), {
+        google_event_id: newGoogleEventId,
+      });
+    }
+    await compensate("reschedule/release-reservation", () => releaseReservation(reservation.id));
+    throw e;
+  }
+
+  await compensate("reschedule/confirm-reservation", () => confirmReservation(reservation.id, newAppt.id), {
+    appointment_id: newAppt.id,
+  });
+
+  // the move is committed; a leftover old event is logged for cleanup rather than undoing it
+  if (oldAppt.google_event_id) {
+    await compensate(
+      "reschedule/delete-old-event",
+      async () => {
+        const old = await getAppointmentCalendar(oldAppt);
+        await deleteCalendarEvent(old.calendar, old.calendar_id, oldAppt.google_event_id);
+      },
+      { appointment_id: oldAppt.id, google_event_id: oldAppt.google_event_id }
+    );
+  }
+
+  await enqueueAfterCommit("reschedule", [
+    ["waitlist.offer", { slot: freedSlot(oldAppt) }],
+    [
+      "notify.appointment",
+      { appointment_id: newAppt.id, kind: "rescheduled", previous: { start_time: oldAppt.start_time } },
+    ],
+    webhookEvent(client_id, "appointment.rescheduled", {
+      ...appointmentEventData(newAppt),
+      old_appointment_id: oldAppt.id,
+      previous_start_time: oldAppt.start_time,
+      previous_end_time: oldAppt.end_time,
+    }),
+  ]);
+  return { oldAppt, newAppt, staff };
+}
+
+async function cancelBooking({ client_id, appointment_id, call_id = null }) {
+  const appt = await getClientAppointment(client_id, appointment_id);
+  if (appt.status !== "booked") throw httpError(409, `Appointment is ${appt.status}`);
+
+  // event first: retrying after a failed row update is safe because a gone event counts as deleted
+  if (appt.google_event_id) {
+    const { calendar, calendar_id } = await getAppointmentCalendar(appt);
+    await deleteCalendarEvent(calendar, calendar_id, appt.google_event_id);
+  }
+
+  const changes = { status: "cancelled", cancelled_call_id: call_id, cancelled_at: new Date().toISOString() };
+  const { error } = await supabase.from("appointments").update(changes).eq("id", appt.id);
+  if (error) throw error;
+
+  const cancelled = { ...appt, ...changes };
+  await enqueueAfterCommit("cancel", [
+    ["waitlist.offer", { slot: freedSlot(appt) }],
+    ["notify.appointment", { appointment_id: appt.id, kind: "cancelled" }],
+    webhookEvent(client_id, "appointment.cancelled", {
+      ...appointmentEventData(cancelled),
+      cancelled_call_id: call_id,
+    }),
+  ]);
+  return cancelled;
+}
+
+// ------------------------------------------------------------
+// Messaging (email via Resend, SMS via a pluggable provider)
+//
+// sendMessage({ channel, to, subject, text, html, attachments }) is the one way out for
+// customer-facing messages. SMS_PROVIDER picks the SMS backend ("twilio" default, "log").
+// ------------------------------------------------------------
+const smsProviders = {
+  async twilio({ to, text }) {
+    const sid = mustEnv("TWILIO_ACCOUNT_SID");
+    const resp = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+      new URLSearchParams({ To: to, From: mustEnv("TWILIO_FROM_NUMBER"), Body: text }),
+      { auth: { username: sid, password: mustEnv("TWILIO_AUTH_TOKEN") }, timeout: 20000 }
+    );
+    return resp.data?.sid || null;
+  },
+
+  // development / dry-run
+  async log({ to, text }) {
+    console.log(JSON.stringify({ level: "info", msg: "SMS (log provider)", to, text }));
+    return null;
+  },
+};
+
+const messageSenders = {
+  async email({ to, subject, html, text, attachments }) {
+    const result = await resend.emails.send({
+      from: mustEnv("FROM_EMAIL"),
+      to,
+      subject,
+      html: html || `<pre style="white-space:pre-wrap;">${escapeHtml(text || "")}</pre>`,
+      ...(text ? { text } : {}),
+      ...(attachments?.length ? { attachments } : {}),
+    });
+    if (result.error) throw new Error(result.error.message);
+    return result.data?.id || null;
+  },
+
+  async sms({ to, text }) {
+    const name = process.env.SMS_PROVIDER || "twilio";
+    const provider = smsProviders[name];
+    if (!provider) throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+    return provider({ to, text });
+  },
+};
+
+// Returns the provider's message id (when it gives one).
+async function sendMessage({ channel, ...message }) {
+  const sender = messageSenders[channel];
+  if (!sender) throw new Error(`Unknown message channel: ${channel}`);
+  if (!message.to) throw new Error(`Missing recipient for ${channel}`);
+  return sender(message);
+}
+
+function publicUrl(path) {
+  return `${mustEnv("PUBLIC_BASE_URL").replace(/\/$/, "")}${path}`;
+}
+
+// ------------------------------------------------------------
+// Customer manage links
+//
+// /manage/<token> lets a customer confirm, cancel or move their own booking. The token is
+// stateless: base64url({ a: appointment_id, c: client_id, e: expiry }) + "." + HMAC-SHA256
+// with MANAGE_LINK_SECRET. Links stop working once the appointment has ended; a rescheduled
+// appointment is a new row, so it gets a new link.
+// ------------------------------------------------------------
+function signManagePayload(payload) {
+  return crypto.createHmac("sha256", mustEnv("MANAGE_LINK_SECRET")).update(payload).digest("base64url");
+}
+
+function createManageToken(appt) {
+  const e = Math.floor(DateTime.fromISO(appt.end_time || appt.start_time).toSeconds());
+  const payload = Buffer.from(JSON.stringify({ a: appt.id, c: appt.client_id, e })).toString("base64url");
+  return `${payload}.${signManagePayload(payload)}`;
+}
+
+function verifyManageToken(token) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig || !safeEqual(sig, signManagePayload(payload))) throw httpError(404, "This link is not valid.");
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw httpError(404, "This link is not valid.");
+  }
+  if (!claims.e || claims.e * 1000 < Date.now()) throw httpError(410, "This link has expired.");
+  return { appointment_id: claims.a, client_id: claims.c };
+}
+
+// null when manage links are not configured for this deployment
+function manageUrl(appt) {
+  if (!process.env.MANAGE_LINK_SECRET || !process.env.PUBLIC_BASE_URL) return null;
+  return publicUrl(`/manage/${createManageToken(appt)}`);
+}
+
+// ------------------------------------------------------------
+// Calendar invites (RFC 5545)
+//
+// One appointment is one VEVENT. A reschedule creates a new row, so the rows carry the
+// invite identity: appointments.ics_uid (null = own id) and appointments.ics_sequence,
+// which reschedules and Google-side moves bump so calendar apps update the same event.
+// ------------------------------------------------------------
+function icsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+}
+
+// parameter values (CN=) aren't TEXT: they are quoted instead of escaped, so ":" and ";" are
+// fine but double quotes and control characters are not
+function icsParam(value) {
+  const text = String(value ?? "")
+    .replaceAll('"', "'")
+    .replace(/[\x00-\x1f\x7f]+/g, " ");
+  return `"${text}"`;
+}
+
+function icsDate(iso) {
+  return DateTime.fromISO(iso).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+// lines longer than 75 octets continue on the next line after a space
+function icsFold(line) {
+  const out = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+function icsUid(appt) {
+  const host = process.env.PUBLIC_BASE_URL ? new URL(process.env.PUBLIC_BASE_URL).hostname : "retell-backend";
+  return `${appt.ics_uid || appt.id}@${host}`;
+}
+
+function buildIcsEvent(appt, { summary, description, location, organizer, attendee, cancelled, sequence }) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${icsUid(appt)}`,
+    `SEQUENCE:${sequence ?? appt.ics_sequence ?? 0}`,
+    `DTSTAMP:${icsDate(new Date().toISOString())}`,
+    `DTSTART:${icsDate(appt.start_time)}`,
+    `DTEND:${icsDate(appt.end_time)}`,
+    `SUMMARY:${icsText(summary)}`,
+    ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+    ...(location ? [`LOCATION:${icsText(location)}`] : []),
+    ...(organizer ? [`ORGANIZER;CN=${icsParam(organizer.name)}:mailto:${organizer.email}`] : []),
+    ...(attendee ? [`ATTENDEE;CN=${icsParam(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`] : []),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+}
+
+function buildIcsCalendar({ method, name, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//retell-backend//appointments//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${icsText(name)}`] : []),
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// Resend attachment for a customer/business email, or null for kinds without an invite.
+function appointmentInvite(appt, kind, vars, { forBusiness = false } = {}) {
+  if (!["confirmation", "rescheduled", "cancelled"].includes(kind)) return null;
+  const method = kind === "cancelled" ? "CANCEL" : "REQUEST";
+  const fromEmail = process.env.FROM_EMAIL?.match(/<([^>]+)>/)?.[1] || process.env.FROM_EMAIL;
+
+  const event = buildIcsEvent(appt, {
+    summary: `${vars.service_name} with ${vars.business_name}`,
+    description: vars.manage_url && !forBusiness ? `Manage your booking: ${vars.manage_url}` : "",
+    organizer: fromEmail ? { name: vars.business_name, email: fromEmail } : null,
+    attendee: appt.customer_email
+      ? { name: appt.customer_name || appt.customer_email, email: appt.customer_email }
+      : null,
+    cancelled: kind === "cancelled",
+    // a cancel must not be older than the invite it withdraws
+    sequence: kind === "cancelled" ? (appt.ics_sequence || 0) + 1 : undefined,
+  });
+  return {
+    filename: kind === "cancelled" ? "cancel.ics" : "invite.ics",
+    content: Buffer.from(buildIcsCalendar({ method, events: [event] })),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  };
+}
+
+// ------------------------------------------------------------
+// Appointment notifications
+//
+// client_notification_settings: client_id, enabled, channels text[] ("email", "sms"),
+//   send_confirmation bool, reminder_offsets_minutes int[] (e.g. {1440,120}),
+//   notify_business bool (copy of confirmations/changes to clients.email)
+// notification_templates: client_id, kind, channel ("email" | "sms" | "business"), subject, body
+//   ({{placeholders}}, see appointmentTemplateVars)
+// notification_log: appointment_id, client_id, kind, channel, dedupe_key (unique), status
+//   "sending" | "sent" | "failed", provider_id, error, sent_at
+//
+// kind: "confirmation" | "reminder" | "rescheduled" | "cancelled". Everything is driven from
+// appointments rows; the log's dedupe_key is claimed before sending so nothing goes out twice.
+// ------------------------------------------------------------
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: true,
+  channels: ["email", "sms"],
+  send_confirmation: true,
+  reminder_offsets_minutes: [24 * 60, 120],
+  notify_business: true,
+};
+
+const DEFAULT_TEMPLATES = {
+  confirmation: {
+    subject: "Your appointment with {{business_name}} is confirmed",
+    body: "Hi {{customer_name}}, your {{service_name}} with {{business_name}} is booked for {{datetime}}.",
+  },
+  reminder: {
+    subject: "Reminder: {{service_name}} on {{datetime}}",
+    body: "Hi {{customer_name}}, this is a reminder of your {{service_name}} with {{business_name}} on {{datetime}}.",
+  },
+  rescheduled: {
+    subject: "Your appointment with {{business_name}} has moved",
+    body:
+      "Hi {{customer_name}}, your {{service_name}} with {{business_name}} has moved " +
+      "from {{previous_datetime}} to {{datetime}}.",
+  },
+  cancelled: {
+    subject: "Your appointment with {{business_name}} was cancelled",
+    body: "Hi {{customer_name}}, your {{service_name}} with {{business_name}} on {{datetime}} has been cancelled.",
+  },
+};
+
+// what the business itself gets (channel "business"); there are no business reminders
+const DEFAULT_BUSINESS_TEMPLATES = {
+  confirmation: {
+    subject: "New booking: {{service_name}} on {{datetime}}",
+    body: "New booking for {{datetime}}: {{service_name}} with {{customer_contact}}.",
+  },
+  rescheduled: {
+    subject: "Booking moved: {{service_name}} to {{datetime}}",
+    body: "{{customer_contact}} moved their {{service_name}} from {{previous_datetime}} to {{datetime}}.",
+  },
+  cancelled: {
+    subject: "Booking cancelled: {{service_name}} on {{datetime}}",
+    body: "{{customer_contact}} cancelled their {{service_name}} on {{datetime}}.",
+  },
+};
+
+// {{name}} placeholders; unknown names render empty. There is no logic in templates, only
+// substitution. With { html: true } values are escaped, except *_html values, which we build.
+function renderTemplate(template, vars, { html = false } = {}) {
+  return String(template || "").replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (_, name) => {
+    const value = String(vars[name] ?? "");
+    return html && !name.endsWith("_html") ? escapeHtml(value) : value;
+  });
+}
+
+function textToHtml(text) {
+  return escapeHtml(text).replaceAll("\n", "<br>");
+}
+
+async function getNotificationSettings(client_id) {
+  const { data, error } = await supabase
+    .from("client_notification_settings")
+    .select("enabled,channels,send_confirmation,reminder_offsets_minutes,notify_business")
+    .eq("client_id", client_id)
+    .maybeSingle();
+  if (error) throw error;
+  const settings = { ...DEFAULT_NOTIFICATION_SETTINGS };
+  for (const [k, v] of Object.entries(data || {})) if (v != null) settings[k] = v;
+  return settings;
+}
+
+async function getNotificationTemplate(client_id, kind, channel) {
+  const { data, error } = await supabase
+    .from("notification_templates")
+    .select("subject,body")
+    .eq("client_id", client_id)
+    .eq("kind", kind)
+    .eq("channel", channel)
+    .maybeSingle();
+  if (error) throw error;
+  const defaults = channel === "business" ? DEFAULT_BUSINESS_TEMPLATES : DEFAULT_TEMPLATES;
+  return { ...defaults[kind], ...Object.fromEntries(Object.entries(data || {}).filter(([, v]) => v)) };
+}
+
+async function appointmentTemplateVars(appt, previous = null) {
+  const zone = appt.timezone || DEFAULT_TIMEZONE;
+  const [{ data: client }, { data: service }, { data: staff }] = await Promise.all([
+    supabase.from("clients").select("name,email").eq("id", appt.client_id).maybeSingle(),
+    appt.service_id
+      ? supabase.from("services").select("name").eq("id", appt.service_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+    appt.staff_id
+      ? supabase.from("staff").select("name").eq("id", appt.staff_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+  ]);
+  const start = DateTime.fromISO(appt.start_time, { zone });
+
+  return {
+    appointment_id: appt.id,
+    business_name: client?.name || "us",
+    business_email: client?.email || "",
+    customer_name: appt.customer_name || "there",
+    customer_contact:
+      [appt.customer_name, appt.customer_phone, appt.customer_email].filter(Boolean).join(", ") || "a customer",
+    service_name: service?.name || appt.title || "appointment",
+    staff_name: staff?.name || "",
+    date: start.toFormat("cccc, LLLL d"),
+    time: start.toFormat("h:mm a"),
+    datetime: start.toFormat("cccc, LLLL d 'at' h:mm a"),
+    timezone: zone,
+    manage_url: appt.status === "booked" ? manageUrl(appt) || "" : "",
+    previous_datetime: previous
+      ? DateTime.fromISO(previous.start_time, { zone }).toFormat("cccc, LLLL d 'at' h:mm a")
+      : "",
+  };
+}
+
+// Log row to send under, or null when this notice already went out (or is going out).
+// A "failed" row is taken over so a retry sends it again.
+async function claimNotification(row) {
+  const { data, error } = await supabase
+    .from("notification_log")
+    .insert({ ...row, status: "sending" })
+    .select("id")
+    .single();
+  if (!error) return data;
+  if (error.code !== "23505") throw error;
+
+  const { data: retried, error: retryErr } = await supabase
+    .from("notification_log")
+    .update({ status: "sending", error: null })
+    .eq("dedupe_key", row.dedupe_key)
+    .eq("status", "failed")
+    .select("id");
+  if (retryErr) throw retryErr;
+  return retried?.[0] || null;
+}
+
+// Customer address per channel; a channel without one is skipped.
+function customerRecipients(appt) {
+  return { email: appt.customer_email, sms: appt.customer_phone };
+}
+
+// Sends one kind of notice for an appointment on every configured channel that has a
+// recipient, plus the business copy. `dedupe` distinguishes repeats of the same kind
+// (reminder offset, new time).
+async function notifyAppointment(appt, kind, { previous = null, dedupe = "" } = {}) {
+  const settings = await getNotificationSettings(appt.client_id);
+  if (!settings.enabled) return;
+  if (kind === "confirmation" && !settings.send_confirmation) return;
+
+  const vars = await appointmentTemplateVars(appt, previous);
+
+  // channel is what the log and templates key on; via is how it goes out
+  const recipients = customerRecipients(appt);
+  const targets = (settings.channels || [])
+    .filter((c) => recipients[c])
+    .map((c) => ({ channel: c, via: c, to: recipients[c] }));
+  if (settings.notify_business && kind !== "reminder" && vars.business_email) {
+    targets.push({ channel: "business", via: "email", to: vars.business_email });
+  }
+
+  const failures = [];
+  for (const { channel, via, to } of targets) {
+    const dedupe_key = [appt.id, kind, channel, dedupe].filter(Boolean).join(":");
+    const logRow = await claimNotification({
+      appointment_id: appt.id,
+      client_id: appt.client_id,
+      kind,
+      channel,
+      dedupe_key,
+    });
+    if (!logRow) continue; // already sent (or being sent)
+
+    try {
+      const template = await getNotificationTemplate(appt.client_id, kind, channel);
+      let text = renderTemplate(template.body, vars);
+      if (channel !== "business" && vars.manage_url && !template.body.includes("manage_url")) {
+        text += `\n\nManage your booking: ${vars.manage_url}`;
+      }
+      const invite =
+        via === "email" ? appointmentInvite(appt, kind, vars, { forBusiness: channel === "business" }) : null;
+      const provider_id = await sendMessage({
+        channel: via,
+        to,
+        subject: renderTemplate(template.subject, vars),
+        text,
+        html: textToHtml(text),
+        attachments: invite ? [invite] : undefined,
+      });
+      await supabase
+        .from("notification_log")
+        .update({ status: "sent", provider_id, sent_at: new Date().toISOString() })
+        .eq("id", logRow.id);
+    } catch (e) {
+      await supabase.from("notification_log").update({ status: "failed", error: e.message }).eq("id", logRow.id);
+      logError(null, e, "notifications/send", { appointment_id: appt.id, kind, channel });
+      failures.push(e);
+    }
+  }
+  // the other channels went out; a retry of the job only re-sends the failed ones
+  if (failures.length) throw failures[0];
+}
+
+// Offsets beyond this are ignored by the sweep.
+const REMINDER_LOOKAHEAD_DAYS = 8;
+// Appointments per sweep page; also the ids per notification_log lookup, whose .in() filter
+// goes in the request URL.
+const REMINDER_PAGE_SIZE = 100;
+
+// How far ahead the sweep has to look: the largest offset any client (or the default) uses.
+async function reminderLookaheadMinutes() {
+  const { data, error } = await supabase
+    .from("client_notification_settings")
+    .select("enabled,reminder_offsets_minutes");
+  if (error) throw error;
+  const offsets = [DEFAULT_NOTIFICATION_SETTINGS, ...(data || [])]
+    .filter((s) => s.enabled !== false)
+    .flatMap((s) => s.reminder_offsets_minutes || DEFAULT_NOTIFICATION_SETTINGS.reminder_offsets_minutes)
+    .map(Number)
+    .filter((m) => m > 0);
+  return Math.min(Math.max(0, ...offsets), REMINDER_LOOKAHEAD_DAYS * 24 * 60);
+}
+
+// Due reminders: for each offset, appointments starting within the offset that were booked
+// before the reminder would have gone out (no "24h reminder" for a same-day booking).
+async function sendDueReminders() {
+  const now = DateTime.now();
+  const lookahead = await reminderLookaheadMinutes();
+  if (!lookahead) return;
+
+  const settingsByClient = new Map();
+  for (let offset = 0; ; offset += REMINDER_PAGE_SIZE) {
+    const { data: appts, error } = await supabase
+      .from("appointments")
+      .select("*")
+      .eq("status", "booked")
+      .gt("start_time", now.toUTC().toISO())
+      .lte("start_time", now.plus({ minutes: lookahead }).toUTC().toISO())
+      .order("start_time", { ascending: true })
+      .order("id", { ascending: true })
+      .range(offset, offset + REMINDER_PAGE_SIZE - 1);
+    if (error) throw error;
+    await queueDueReminders(appts || [], now, settingsByClient);
+    if ((appts || []).length < REMINDER_PAGE_SIZE) return;
+  }
+}
+
+// One page of the sweep: queues each due reminder that has no log row yet.
+async function queueDueReminders(appts, now, settingsByClient) {
+  if (!appts.length) return;
+  // reminders that already have a log row are handled (a failed one is retried by its job)
+  const { data: logged, error: logErr } = await supabase
+    .from("notification_log")
+    .select("dedupe_key")
+    .eq("kind", "reminder")
+    .in("appointment_id", appts.map((a) => a.id));
+  if (logErr) throw logErr;
+  const handled = new Set((logged || []).map((l) => `${l.dedupe_key.split(":")[0]}:${l.dedupe_key.split(":").pop()}`));
+
+  for (const appt of appts) {
+    if (!settingsByClient.has(appt.client_id)) {
+      settingsByClient.set(appt.client_id, await getNotificationSettings(appt.client_id));
+    }
+    const settings = settingsByClient.get(appt.client_id);
+    if (!settings.enabled) continue;
+    // nothing would be sent (and logged), so the job would be queued again every sweep
+    const recipients = customerRecipients(appt);
+    if (!(settings.channels || []).some((c) => recipients[c])) continue;
+
+    const start = DateTime.fromISO(appt.start_time);
+    for (const offset of settings.reminder_offsets_minutes || []) {
+      const dueAt = start.minus({ minutes: Number(offset) });
+      if (now < dueAt) continue;
+      if (appt.created_at && DateTime.fromISO(appt.created_at) > dueAt) continue;
+      if (handled.has(`${appt.id}:${offset}m`)) continue;
+      await enqueueJob(
+        "notify.appointment",
+        { appointment_id: appt.id, kind: "reminder", dedupe: `${offset}m` },
+        { dedupe_key: `notify:${appt.id}:reminder:${offset}m` }
+      );
+    }
+  }
+}
+
+// ------------------------------------------------------------
+// Waitlist (tables: waitlist_entries, waitlist_offers)
+//
+// waitlist_entries: id, client_id, customer_name, customer_phone, customer_email,
+//   service_id, staff_id (null = any), preferred_weekdays text[], earliest_time, latest_time,
+//   from_date, to_date, notes, created_at, status "waiting" | "offered" | "booked" | "removed"
+// waitlist_offers: id, client_id, entry_id, reservation_id (hold on the slot), staff_id,
+//   service_id, start_time, end_time, token, expires_at, appointment_id,
+//   freed_slot jsonb (the whole slot that was freed; start/end/service here are what was offered),
+//   status "pending" | "claiming" (booking in progress) | "claimed" | "expired"
+//
+// A freed slot is held and offered to the longest-waiting matching entry whose service fits
+// in it; the hold covers the offered service's slot plus its buffers, exactly what booking it
+// will need. If the offer lapses unclaimed, the whole freed slot goes to the next match.
+// ------------------------------------------------------------
+const WAITLIST_OFFER_TTL_MS = 30 * 60 * 1000;
+
+function waitlistEntryMatches(entry, slot, timezone) {
+  if (entry.service_id && slot.service_id && entry.service_id !== slot.service_id) return false;
+  if (entry.staff_id && entry.staff_id !== slot.staff_id) return false;
+
+  const start = DateTime.fromISO(slot.start_time, { zone: timezone });
+  const ymd = start.toISODate();
+  if (entry.from_date && ymd < entry.from_date) return false;
+  if (entry.to_date && ymd > entry.to_date) return false;
+
+  return slotMatchesFilter(
+    slot,
+    { weekdays: normalizeWeekdays(entry.preferred_weekdays), earliest: entry.earliest_time, latest: entry.latest_time },
+    timezone
+  );
+}
+
+// Offers the slot `freed` ({ client_id, start_time, end_time, service_id, staff_id }) to the
+// next waiting match. Entries that already had this slot offered are skipped.
+async function offerFreedSlot(freed) {
+  const { client_id } = freed;
+  if (DateTime.fromISO(freed.start_time) <= DateTime.now()) return null;
+
+  const rules = await getClientBusinessRules(client_id);
+
+  const [{ data: entries, error }, { data: pastOffers, error: offErr }] = await Promise.all([
+    supabase
+      .from("waitlist_entries")
+      .select("*")
+      .eq("client_id", client_id)
+      .eq("status", "waiting")
+      .order("created_at", { ascending: true }),
+    supabase
+      .from("waitlist_offers")
+      .select("entry_id,start_time")
+      .eq("client_id", client_id)
+      .eq("start_time", freed.start_time),
+  ]);
+  if (error) throw error;
+  if (offErr) throw offErr;
+
+  const alreadyOffered = new Set((pastOffers || []).map((o) => o.entry_id));
+  const services = new Map((await listClientServices(client_id)).map((s) => [s.id, s]));
+  const staff = freed.staff_id ? await getStaffMember(client_id, freed.staff_id) : null;
+  if (staff && !staff.is_active) return null; // claiming would be refused
+
+  for (const entry of entries || []) {
+    if (alreadyOffered.has(entry.id) || !waitlistEntryMatches(entry, freed, rules.timezone)) continue;
+
+    // the entry's service decides the slot length; it has to fit where the old booking was
+    const service_id = entry.service_id || freed.service_id || null;
+    const service = service_id ? services.get(service_id) : null;
+    if (service_id && !service) continue;
+    if (staff && !staffOffersService(staff, service_id)) continue;
+    const end_time = service ? endFromService(freed.start_time, service, rules.timezone) : freed.end_time;
+    if (DateTime.fromISO(end_time) > DateTime.fromISO(freed.end_time)) continue;
+
+    const blocked = withServiceBuffers(freed.start_time, end_time, service);
+    const reservation = await reserveSlot({
+      client_id,
+      staff_id: freed.staff_id || null,
+      startISO: blocked.startISO,
+      endISO: blocked.endISO,
+      kind: "hold",
+      ttlMs: WAITLIST_OFFER_TTL_MS,
+    });
+    if (!reservation) return null; // someone else got there first
+
+    // the slot must really be free (nothing else moved into it meanwhile, buffers included)
+    const { busy } = await getBusyIntervals({
+      client_id,
+      staff,
+      timeMin: blocked.startISO,
+      timeMax: blocked.endISO,
+      ignoreReservationId: reservation.id,
+    });
+    if (busy.length) {
+      await releaseReservation(reservation.id);
+      continue;
+    }
+
+    return createWaitlistOffer({ entry, reservation, freed, service_id, end_time });
+  }
+  return null;
+}
+
+async function createWaitlistOffer({ entry, reservation, freed, service_id, end_time }) {
+  const { client_id } = freed;
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const { data: offer, error: insErr } = await supabase
+    .from("waitlist_offers")
+    .insert({
+      client_id,
+      entry_id: entry.id,
+      reservation_id: reservation.id,
+      staff_id: freed.staff_id || null,
+      service_id,
+      start_time: freed.start_time,
+      end_time,
+      token,
+      expires_at: reservation.expires_at,
+      freed_slot: freedSlot(freed),
+      status: "pending",
+    })
+    .select()
+    .single();
+  if (insErr) {
+    await releaseReservation(reservation.id);
+    throw insErr;
+  }
+
+  await supabase.from("waitlist_entries").update({ status: "offered" }).eq("id", entry.id);
+  // the offer and its hold stand on their own; the message is retried by its job
+  await enqueueAfterCommit("waitlist/offer", [
+    ["waitlist.notify", { offer_id: offer.id }, { dedupe_key: `waitlist.notify:${offer.id}` }],
+  ]);
+  return offer;
+}
+
+async function notifyWaitlistOffer(offer_id) {
+  const { data: offer, error } = await supabase.from("waitlist_offers").select("*").eq("id", offer_id).maybeSingle();
+  if (error) throw error;
+  // claimed or lapsed meanwhile: nothing left to announce
+  if (offer?.status !== "pending" || DateTime.fromISO(offer.expires_at) <= DateTime.now()) return;
+  const { data: entry, error: entErr } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("id", offer.entry_id)
+    .maybeSingle();
+  if (entErr) throw entErr;
+  if (!entry) return;
+
+  const { timezone } = await getClientBusinessRules(offer.client_id);
+  const { data: client } = await supabase.from("clients").select("name").eq("id", offer.client_id).maybeSingle();
+  const when = DateTime.fromISO(offer.start_time, { zone: timezone }).toFormat("cccc, LLLL d 'at' h:mm a");
+  const minutes = Math.round(WAITLIST_OFFER_TTL_MS / 60000);
+  const link = publicUrl(`/waitlist/claim/${offer.token}`);
+  const intro = `${client?.name || "We"} had an opening on ${when}. It's held for you for ${minutes} minutes.`;
+  const text = `${intro} Claim it here: ${link}`;
+
+  const sends = [];
+  if (entry.customer_phone) sends.push(sendMessage({ channel: "sms", to: entry.customer_phone, text }));
+  if (entry.customer_email) {
+    sends.push(
+      sendMessage({
+        channel: "email",
+        to: entry.customer_email,
+        subject: `An earlier appointment is available: ${when}`,
+        text,
+        html: `<p>${escapeHtml(intro)}</p><p><a href="${escapeHtml(link)}">Claim this appointment</a></p>`,
+      })
+    );
+  }
+  const results = await Promise.allSettled(sends);
+  const failed = results.filter((r) => r.status === "rejected");
+  if (failed.length === results.length && failed.length) throw failed[0].reason;
+}
+
+// Books the offered slot for the waitlisted customer through the normal booking path.
+// The offer is flipped pending -> claiming first, so a double-click or a resubmitted form
+// can't book it twice; a failed booking puts it back to pending.
+async function claimWaitlistOffer(token) {
+  const { data: offer, error } = await supabase.from("waitlist_offers").select("*").eq("token", token).maybeSingle();
+  if (error) throw error;
+  if (!offer) throw httpError(404, "This link is not valid");
+  if (offer.status === "claimed" || offer.status === "claiming") {
+    throw httpError(409, "This appointment has already been claimed");
+  }
+  if (offer.status !== "pending" || DateTime.fromISO(offer.expires_at) <= DateTime.now()) {
+    throw httpError(410, "Sorry, this offer has expired");
+  }
+
+  const { data: claimed, error: claimErr } = await supabase
+    .from("waitlist_offers")
+    .update({ status: "claiming" })
+    .eq("id", offer.id)
+    .eq("status", "pending")
+    .select("id");
+  if (claimErr) throw claimErr;
+  if (!claimed?.length) throw httpError(409, "This appointment has already been claimed");
+
+  try {
+    return await bookWaitlistOffer(offer);
+  } catch (e) {
+    await compensate(
+      "waitlist/claim-revert",
+      async () => {
+        const { error: revErr } = await supabase
+          .from("waitlist_offers")
+          .update({ status: "pending" })
+          .eq("id", offer.id)
+          .eq("status", "claiming");
+        if (revErr) throw revErr;
+      },
+      { offer_id: offer.id }
+    );
+    throw e;
+  }
+}
+
+async function bookWaitlistOffer(offer) {
+  const { data: entry, error: eErr } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("id", offer.entry_id)
+    .single();
+  if (eErr) throw eErr;
+
+  const { appointment } = await createBooking({
+    client_id: offer.client_id,
+    start_time: offer.start_time,
+    end_time: offer.end_time,
+    service_id: offer.service_id,
+    staff_id: offer.staff_id,
+    customer_name: entry.customer_name,
+    customer_email: entry.customer_email,
+    customer_phone: entry.customer_phone,
+    notes: entry.notes ? `Waitlist: ${entry.notes}` : "Booked from waitlist",
+    idempotency_key: `waitlist:${offer.id}`,
+    hold_id: offer.reservation_id,
+  });
+
+  await supabase
+    .from("waitlist_offers")
+    .update({ status: "claimed", appointment_id: appointment.id })
+    .eq("id", offer.id);
+  await supabase.from("waitlist_entries").update({ status: "booked" }).eq("id", entry.id);
+  return { offer, appointment };
+}
+
+// Lapsed offers: the entry goes back to waiting and the slot moves on to the next match.
+async function expireWaitlistOffers() {
+  const { data: lapsed, error } = await supabase
+    .from("waitlist_offers")
+    .select("*")
+    .eq("status", "pending")
+    .lt("expires_at", new Date().toISOString());
+  if (error) throw error;
+
+  for (const offer of lapsed || []) {
+    const { data: marked } = await supabase
+      .from("waitlist_offers")
+      .update({ status: "expired" })
+      .eq("id", offer.id)
+      .eq("status", "pending")
+      .select("id");
+    if (!marked?.length) continue;
+
+    await supabase
+      .from("slot_reservations")
+      .update({ status: "expired" })
+      .eq("id", offer.reservation_id)
+      .eq("status", "active");
+    await supabase
+      .from("waitlist_entries")
+      .update({ status: "waiting" })
+      .eq("id", offer.entry_id)
+      .eq("status", "offered");
+    // offers made before freed_slot was stored only know the offered part
+    const slot = offer.freed_slot || freedSlot(offer);
+    await enqueueAfterCommit("waitlist/reoffer", [["waitlist.offer", { slot }]]);
+  }
+}
+
+// ------------------------------------------------------------
+// Google Calendar push sync (table: google_watch_channels)
+//
+//   id            channel id sent to Google
+//   client_id, staff_id (null for the client calendar), calendar_id
+//   resource_id   returned by Google, needed to stop the channel
+//   token         per-channel secret, echoed back in X-Goog-Channel-Token
+//   expiration    when Google stops sending; renewed a day ahead
+//   sync_token    events.list cursor for incremental pulls
+//   status        "active" | "stopped"
+//
+// Staff moving or deleting an AI-booked event in Google updates the matching
+// appointments row (by google_event_id) so overlap checks and find-appointment stay true.
+// ------------------------------------------------------------
+const WATCH_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+function googleWebhookUrl() {
+  return `${mustEnv("PUBLIC_BASE_URL").replace(/\/$/, "")}/webhooks/google-calendar`;
+}
+
+async function startCalendarWatch({ client_id, staff = null, sync_token = null }) {
+  const { calendar, calendar_id } = await getClientCalendar(client_id, staff);
+  const id = crypto.randomUUID();
+  const token = crypto.randomBytes(24).toString("hex");
+
+  const resp = await calendar.events.watch({
+    calendarId: calendar_id,
+    requestBody: { id, type: "web_hook", address: googleWebhookUrl(), token },
+  });
+
+  const { data, error } = await supabase
+    .from("google_watch_channels")
+    .insert({
+      id,
+      client_id,
+      staff_id: staff?.id || null,
+      calendar_id,
+      resource_id: resp.data.resourceId,
+      token,
+      expiration: new Date(Number(resp.data.expiration)).toISOString(),
+      sync_token,
+      status: "active",
+    })
+    .select()
+    .single();
+  if (error) {
+    await compensate("gcal-watch/stop", () =>
+      calendar.channels.stop({ requestBody: { id, resourceId: resp.data.resourceId } })
+    );
+    throw error;
+  }
+
+  // first pull only establishes the sync token
+  if (!sync_token) await syncCalendarChannel(data);
+  return data;
+}
+
+async function stopCalendarWatch(channel) {
+  const staff = channel.staff_id ? await getStaffMember(channel.client_id, channel.staff_id) : null;
+  const { calendar } = await getClientCalendar(channel.client_id, staff);
+  await compensate("gcal-watch/stop", () =>
+    calendar.channels.stop({ requestBody: { id: channel.id, resourceId: channel.resource_id } })
+  );
+  const { error } = await supabase.from("google_watch_channels").update({ status: "stopped" }).eq("id", channel.id);
+  if (error) throw error;
+}
+
+// Applies one changed Google event to the appointment booked on it, if any.
+async function applyCalendarChange(channel, event) {
+  const { data: appts, error } = await supabase
+    .from("appointments")
+    .select("*")
+    .eq("client_id", channel.client_id)
+    .eq("google_event_id", event.id)
+    .eq("status", "booked");
+  if (error) throw error;
+
+  for (const appt of appts || []) {
+    if (event.status === "cancelled") {
+      const { error: updErr } = await supabase
+        .from("appointments")
+        .update({ status: "cancelled", cancelled_via: "google_calendar", cancelled_at: new Date().toISOString() })
+        .eq("id", appt.id);
+      if (updErr) throw updErr;
+      await enqueueAfterCommit("calendar-sync/cancel", [
+        ["waitlist.offer", { slot: freedSlot(appt) }],
+        ["notify.appointment", { appointment_id: appt.id, kind: "cancelled" }],
+        webhookEvent(appt.client_id, "appointment.cancelled", {
+          ...appointmentEventData({ ...appt, status: "cancelled" }),
+          cancelled_via: "google_calendar",
+        }),
+      ]);
+      continue;
+    }
+
+    const zone = appt.timezone || DEFAULT_TIMEZONE;
+    const start = event.start?.dateTime || (event.start?.date && DateTime.fromISO(event.start.date, { zone }).toISO());
+    const end = event.end?.dateTime || (event.end?.date && DateTime.fromISO(event.end.date, { zone }).toISO());
+    if (!start || !end) continue;
+
+    const moved =
+      DateTime.fromISO(start).toMillis() !== DateTime.fromISO(appt.start_time).toMillis() ||
+      DateTime.fromISO(end).toMillis() !== DateTime.fromISO(appt.end_time).toMillis();
+    if (moved) {
+      const changes = { start_time: start, end_time: end, ics_sequence: (appt.ics_sequence || 0) + 1 };
+      const { error: updErr } = await supabase.from("appointments").update(changes).eq("id", appt.id);
+      if (updErr) throw updErr;
+      const previous = { start_time: appt.start_time };
+      await enqueueAfterCommit("calendar-sync/move", [
+        ["waitlist.offer", { slot: freedSlot(appt) }],
+        ["notify.appointment", { appointment_id: appt.id, kind: "rescheduled", previous, dedupe: start }],
+        webhookEvent(appt.client_id, "appointment.moved", {
+          ...appointmentEventData({ ...appt, ...changes }),
+          previous_start_time: appt.start_time,
+          previous_end_time: appt.end_time,
+          moved_via: "google_calendar",
+        }),
+      ]);
+    }
+  }
+}
+
+// Pulls everything changed since the channel's sync token (full listing when it has none
+// or Google expired it) and stores the next token.
+async function syncCalendarChannel(channel) {
+  const staff = channel.staff_id ? await getStaffMember(channel.client_id, channel.staff_id) : null;
+  const { calendar } = await getClientCalendar(channel.client_id, staff);
+
+  let syncToken = channel.sync_token || null;
+  let pageToken;
+  let nextSyncToken = null;
+
+  for (;;) {
+    let resp;
+    try {
+      resp = await calendar.events.list({
+        calendarId: channel.calendar_id,
+        singleEvents: true,
+        showDeleted: true,
+        maxResults: 250,
+        ...(syncToken ? { syncToken } : {}),
+        ...(pageToken ? { pageToken } : {}),
+      });
+    } catch (e) {
+      if ((e?.code || e?.response?.status) === 410 && syncToken) {
+        syncToken = null;
+        pageToken = undefined;
+        continue;
+      }
+      throw e;
+    }
+
+    // the very first listing is only a baseline; after that (including a forced full
+    // re-list when Google expired the token) every event is checked against appointments
+    if (channel.sync_token) {
+      for (const event of resp.data.items || []) await applyCalendarChange(channel, event);
+    }
+
+    pageToken = resp.data.nextPageToken;
+    if (!pageToken) {
+      nextSyncToken = resp.data.nextSyncToken || null;
+      break;
+    }
+  }
+
+  const { error } = await supabase
+    .from("google_watch_channels")
+    .update({ sync_token: nextSyncToken })
+    .eq("id", channel.id);
+  if (error) throw error;
+}
+
+// Replaces channels that expire within a day.
+async function renewCalendarWatches() {
+  const { data, error } = await supabase
+    .from("google_watch_channels")
+    .select("*")
+    .eq("status", "active")
+    .lt("expiration", new Date(Date.now() + WATCH_RENEW_BEFORE_MS).toISOString());
+  if (error) throw error;
+
+  for (const channel of data || []) {
+    try {
+      const staff = channel.staff_id ? await getStaffMember(channel.client_id, channel.staff_id) : null;
+      await startCalendarWatch({ client_id: channel.client_id, staff, sync_token: channel.sync_token });
+      await stopCalendarWatch(channel);
+    } catch (e) {
+      logError(null, e, "gcal-watch/renew", { channel_id: channel.id, client_id: channel.client_id });
+    }
+  }
+}
+
+// ------------------------------------------------------------
+// Outbound webhooks (tables: webhook_subscriptions, webhook_deliveries)
+//
+// webhook_subscriptions: id, client_id, url, events text[] (empty = every event), secret,
+//   active, created_at
+// webhook_deliveries: id, subscription_id, client_id, event_id, event, payload jsonb,
+//   status "pending" | "delivered" | "failed" | "skipped", attempts, response_status,
+//   last_error, created_at, delivered_at   (unique (subscription_id, event_id))
+//
+// A change queues "webhook.emit", which writes one delivery per matching subscription;
+// each delivery is its own "webhook.deliver" job, so one slow endpoint doesn't hold up
+// the others and failures get the job backoff. Requests carry
+//   X-Webhook-Event, X-Webhook-Id (the event id, stable across retries) and
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>
+// ------------------------------------------------------------
+const WEBHOOK_EVENTS = [
+  "appointment.booked",
+  "appointment.cancelled",
+  "appointment.rescheduled",
+  "appointment.moved",
+  "call.analyzed",
+];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RESPONSE_SNIPPET = 500;
+
+// Fields an integration needs from an appointments row (same names the tools return).
+function appointmentEventData(appt) {
+  return {
+    appointment_id: appt.id,
+    google_event_id: appt.google_event_id || null,
+    status: appt.status,
+    start_time: appt.start_time,
+    end_time: appt.end_time,
+    timezone: appt.timezone || null,
+    title: appt.title || null,
+    service_id: appt.service_id || null,
+    staff_id: appt.staff_id || null,
+    customer_id: appt.customer_id || null,
+    customer_name: appt.customer_name || null,
+    customer_email: appt.customer_email || null,
+    customer_phone: appt.customer_phone || null,
+    notes: appt.notes || null,
+    call_id: appt.call_id || null,
+    agent_id: appt.agent_id || null,
+  };
+}
+
+// Job tuple for enqueueAfterCommit. The event id is fixed here so a retried fan-out
+// doesn't deliver the same event twice; work that may itself be retried passes its own `id`.
+function webhookEvent(client_id, event, data, { id = null } = {}) {
+  const payload = {
+    id: id || `evt_${crypto.randomUUID()}`,
+    type: event,
+    created_at: new Date().toISOString(),
+    client_id,
+    data,
+  };
+  return ["webhook.emit", payload];
+}
+
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function fanOutWebhookEvent(payload) {
+  const { data: subs, error } = await supabase
+    .from("webhook_subscriptions")
+    .select("id,events")
+    .eq("client_id", payload.client_id)
+    .eq("active", true);
+  if (error) throw error;
+
+  for (const sub of subs || []) {
+    if (sub.events?.length && !sub.events.includes(payload.type)) continue;
+
+    let { data: delivery, error: insErr } = await supabase
+      .from("webhook_deliveries")
+      .insert({
+        subscription_id: sub.id,
+        client_id: payload.client_id,
+        event_id: payload.id,
+        event: payload.type,
+        payload,
+        status: "pending",
+        attempts: 0,
+      })
+      .select("id,status")
+      .single();
+    if (insErr?.code === "23505") {
+      // written by an earlier attempt of this job
+      ({ data: delivery, error: insErr } = await supabase
+        .from("webhook_deliveries")
+        .select("id,status")
+        .eq("subscription_id", sub.id)
+        .eq("event_id", payload.id)
+        .single());
+    }
+    if (insErr) throw insErr;
+    if (delivery.status === "delivered") continue;
+
+    await enqueueJob(
+      "webhook.deliver",
+      { delivery_id: delivery.id },
+      { dedupe_key: `webhook.deliver:${delivery.id}` }
+    );
+  }
+}
+
+// One attempt at one delivery; throws on anything but a 2xx so the job retries it.
+async function deliverWebhook({ delivery_id }) {
+  const { data: delivery, error } = await supabase
+    .from("webhook_deliveries")
+    .select("*")
+    .eq("id", delivery_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!delivery || delivery.status === "delivered") return;
+
+  const { data: sub, error: sErr } = await supabase
+    .from("webhook_subscriptions")
+    .select("id,url,secret,active")
+    .eq("id", delivery.subscription_id)
+    .maybeSingle();
+  if (sErr) throw sErr;
+
+  const settle = async (changes) => {
+    const { error: updErr } = await supabase
+      .from("webhook_deliveries")
+      .update({ attempts: (delivery.attempts || 0) + 1, ...changes })
+      .eq("id", delivery.id);
+    if (updErr) throw updErr;
+  };
+
+  if (!sub?.active) {
+    await settle({ status: "skipped", last_error: "Subscription removed or disabled" });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let resp;
+  try {
+    resp = await axios.post(sub.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `appointments-webhooks/${VERSION}`,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Signature": `t=${timestamp},v1=${signWebhookBody(sub.secret, timestamp, body)}`,
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformResponse: (data) => data,
+    });
+  } catch (e) {
+    await settle({ status: "failed", response_status: null, last_error: e.message });
+    throw e;
+  }
+
+  if (resp.status >= 200 && resp.status < 300) {
+    await settle({
+      status: "delivered",
+      response_status: resp.status,
+      last_error: null,
+      delivered_at: new Date().toISOString(),
+    });
+    return;
+  }
+
+  const snippet = String(resp.data ?? "").slice(0, WEBHOOK_RESPONSE_SNIPPET);
+  await settle({ status: "failed", response_status: resp.status, last_error: snippet || null });
+  throw new Error(`Webhook endpoint answered ${resp.status}`);
+}
+
+// ------------------------------------------------------------
+// Retell fetch
+// ------------------------------------------------------------
+async function fetchRetellCall(call_id) {
+  const url = `https://api.retellai.com/v2/get-call/${call_id}`;
+  const resp = await axios.get(url, {
+    headers: { Authorization: `Bearer ${mustEnv("RETELL_API_KEY")}` },
+    timeout: 20000,
+  });
+  return resp.data;
+}
+
+// ------------------------------------------------------------
+// Call records (table: calls, unique (client_id, retell_call_id))
+//
+// One row per call, filled in as call_started / call_ended / call_analyzed arrive:
+// status ("in_progress" | "ended" | "failed"), call_status (Retell's), agent_id, direction,
+// from_number, to_number, started_at, ended_at, duration_ms, disconnection_reason,
+// cost_cents, customer_id, last_event, analyzed_at, then action/summary/transcript,
+// outcome and appointment_ids (see Call outcome).
+// ------------------------------------------------------------
+const RETELL_CALL_EVENTS = new Set(["call_started", "call_ended", "call_analyzed"]);
+
+// Retell disconnection reasons that mean the call never really happened or broke off.
+const FAILED_DISCONNECT = new RegExp(
+  "^(error_|dial_|registered_call_timeout|concurrency_limit|no_valid_payment|scam_detected|" +
+    "invalid_destination|telephony_provider|sip_routing|marked_as_spam)"
+);
+
+// events can arrive out of order; a later-stage status is never overwritten by an earlier one
+const CALL_STATUS_RANK = { in_progress: 1, ended: 2, failed: 2 };
+
+function callFieldsFromRetell(call) {
+  const ms = (v) => (v ? new Date(Number(v)).toISOString() : undefined);
+  const fields = {
+    agent_id: call.agent_id,
+    call_status: call.call_status,
+    direction: call.direction,
+    from_number: call.from_number,
+    to_number: call.to_number,
+    started_at: ms(call.start_timestamp),
+    ended_at: ms(call.end_timestamp),
+    duration_ms:
+      call.duration_ms ??
+      (call.start_timestamp && call.end_timestamp ? call.end_timestamp - call.start_timestamp : undefined),
+    disconnection_reason: call.disconnection_reason,
+    cost_cents: call.call_cost?.combined_cost,
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, v]) => v != null));
+}
+
+function callStatusFor(event, call) {
+  if (event === "call_started") return "in_progress";
+  if (call.call_status === "error" || FAILED_DISCONNECT.test(call.disconnection_reason || "")) return "failed";
+  return "ended";
+}
+
+async function recordCallEvent(client_id, event, call) {
+  const retell_call_id = call.call_id;
+  const { data: existing, error } = await supabase
+    .from("calls")
+    .select("id,status,customer_id")
+    .eq("client_id", client_id)
+    .eq("retell_call_id", retell_call_id)
+    .maybeSingle();
+  if (error) throw error;
+
+  const row = { client_id, retell_call_id, ...callFieldsFromRetell(call), last_event: event };
+  const status = callStatusFor(event, call);
+  if ((CALL_STATUS_RANK[status] || 0) >= (CALL_STATUS_RANK[existing?.status] || 0)) row.status = status;
+  if (event === "call_analyzed") row.analyzed_at = new Date().toISOString();
+
+  // links the call to the caller's history; not worth failing the event over
+  if (!existing?.customer_id && row.from_number) {
+    try {
+      const customer = await upsertCustomer({ client_id, phone: row.from_number });
+      if (customer) row.customer_id = customer.id;
+    } catch (e) {
+      logError(null, e, "calls/customer", { retell_call_id });
+    }
+  }
+
+  const { error: upErr } = await supabase.from("calls").upsert(row, { onConflict: "client_id,retell_call_id" });
+  if (upErr) throw upErr;
+}
+
+// ------------------------------------------------------------
+// Call outcome
+//
+// What a call actually did, from evidence rather than words in the transcript:
+//   1. our tool results in transcript_with_tool_calls (recognised by their response shape,
+//      so it doesn't matter what the agent named the functions),
+//   2. the appointments rows those results point at (must exist with the expected status),
+//      plus rows stamped with the call's id (call_id / cancelled_call_id),
+//   3. Retell's custom_analysis_data, only when the tools show nothing.
+// Stored as calls.outcome: { result, booked, cancelled, rescheduled, failed, source }, with
+// result "booked" | "cancelled" | "rescheduled" | "info_only" | "failed". calls.action stays
+// the short label ("book", "cancel", "reschedule", or the result itself).
+// ------------------------------------------------------------
+const CALL_RESULTS = ["booked", "cancelled", "rescheduled", "info_only", "failed"];
+const ACTION_FOR_RESULT = { booked: "book", cancelled: "cancel", rescheduled: "reschedule" };
+
+function parseToolPayload(value) {
+  if (value && typeof value === "object") return value;
+  try {
+    return JSON.parse(String(value ?? ""));
+  } catch {
+    return null;
+  }
+}
+
+// [{ name, args, result }] with invocations paired to their results by tool_call_id.
+function toolCallsFromRetellCall(call) {
+  const byId = new Map();
+  for (const item of call?.transcript_with_tool_calls || []) {
+    if (!item?.tool_call_id) continue;
+    const entry = byId.get(item.tool_call_id) || { name: null, args: null, result: null };
+    if (item.role === "tool_call_invocation") {
+      entry.name = item.name;
+      entry.args = parseToolPayload(item.arguments);
+    } else if (item.role === "tool_call_result") {
+      entry.result = parseToolPayload(item.content);
+    }
+    byId.set(item.tool_call_id, entry);
+  }
+  return [...byId.values()];
+}
+
+function outcomeFromCustomAnalysis(data) {
+  if (!data || typeof data !== "object") return null;
+  const raw = String(data.outcome || data.call_outcome || data.appointment_outcome || "").toLowerCase().trim();
+  const aliases = { book: "booked", cancel: "cancelled", canceled: "cancelled", reschedule: "rescheduled" };
+  const result = aliases[raw] || raw.replace(/[\s-]+/g, "_");
+  return CALL_RESULTS.includes(result) ? result : null;
+}
+
+async function deriveCallOutcome(client_id, call) {
+  const booked = new Set();
+  const cancelled = new Set();
+  const rescheduled = [];
+  const failed = [];
+
+  const toolCalls = toolCallsFromRetellCall(call);
+  for (const { name, result } of toolCalls) {
+    if (!result) continue;
+    if (result.ok === false) {
+      // lookups that found nothing are not failed actions
+      if (/book|cancel|resched/i.test(name || "")) failed.push({ tool: name, error: result.error || "failed" });
+      continue;
+    }
+    if (result.new_appointment_id && result.old_appointment_id) {
+      rescheduled.push({ from: result.old_appointment_id, to: result.new_appointment_id });
+    } else if (result.cancelled_appointment_id) {
+      cancelled.add(result.cancelled_appointment_id);
+    } else if (result.appointment_id && result.google_event_id) {
+      booked.add(result.appointment_id);
+    }
+  }
+
+  // rows the tools stamped with this call, even where the transcript lost the tool result
+  if (call?.call_id) {
+    const [{ data: made, error: mErr }, { data: dropped, error: dErr }] = await Promise.all([
+      supabase
+        .from("appointments")
+        .select("id,previous_appointment_id")
+        .eq("client_id", client_id)
+        .eq("call_id", call.call_id),
+      supabase.from("appointments").select("id").eq("client_id", client_id).eq("cancelled_call_id", call.call_id),
+    ]);
+    if (mErr) throw mErr;
+    if (dErr) throw dErr;
+    for (const row of made || []) {
+      if (!row.previous_appointment_id) booked.add(row.id);
+      else if (!rescheduled.some((r) => r.to === row.id)) {
+        rescheduled.push({ from: row.previous_appointment_id, to: row.id });
+      }
+    }
+    for (const row of dropped || []) cancelled.add(row.id);
+  }
+
+  // only rows that exist for this client and are in the state the tool reported count
+  const ids = [...booked, ...cancelled, ...rescheduled.flatMap((r) => [r.from, r.to])];
+  const rows = new Map();
+  if (ids.length) {
+    const { data, error } = await supabase
+      .from("appointments")
+      .select("id,status,previous_appointment_id")
+      .eq("client_id", client_id)
+      .in("id", ids);
+    if (error) throw error;
+    for (const row of data || []) rows.set(row.id, row);
+  }
+  // a booking moved or cancelled later in the same call still counts as booked
+  const verified = {
+    booked: [...booked].filter((id) => rows.has(id)),
+    cancelled: [...cancelled].filter((id) => rows.get(id)?.status === "cancelled"),
+    rescheduled: rescheduled.filter((r) => rows.get(r.from)?.status === "rescheduled" && rows.has(r.to)),
+  };
+
+  let result = verified.rescheduled.length
+    ? "rescheduled"
+    : verified.booked.length
+      ? "booked"
+      : verified.cancelled.length
+        ? "cancelled"
+        : failed.length
+          ? "failed"
+          : "info_only";
+  const source = [];
+  if (toolCalls.some((t) => t.result)) source.push("tool_calls");
+  if (rows.size) source.push("appointments");
+
+  if (result === "info_only") {
+    const analysed = outcomeFromCustomAnalysis(call?.call_analysis?.custom_analysis_data);
+    if (analysed) {
+      result = analysed;
+      source.push("custom_analysis");
+    }
+  }
+
+  return { result, ...verified, failed, source };
+}
+
+function outcomeAppointmentIds({ booked, cancelled, rescheduled }) {
+  return [...new Set([...booked, ...cancelled, ...rescheduled.flatMap((r) => [r.from, r.to])])];
+}
+
+// Appointments the call touched, by id, for the summary email.
+async function loadOutcomeAppointments(client_id, outcome) {
+  const ids = outcomeAppointmentIds(outcome);
+  if (!ids.length) return new Map();
+  const { data, error } = await supabase
+    .from("appointments")
+    .select("id,title,start_time,timezone,customer_name,google_event_id")
+    .eq("client_id", client_id)
+    .in("id", ids);
+  if (error) throw error;
+  return new Map((data || []).map((a) => [a.id, a]));
+}
+
+function outcomeHtml({ booked, cancelled, rescheduled, failed }, appts = new Map()) {
+  const describe = (id) => {
+    const a = appts.get(id);
+    if (!a) return id;
+    const when = DateTime.fromISO(a.start_time, { zone: a.timezone || DEFAULT_TIMEZONE }).toFormat("ccc, LLL d h:mm a");
+    return `${when} ${a.title || "Appointment"}${a.customer_name ? ` (${a.customer_name})` : ""} [${id}]`;
+  };
+  const rows = [
+    ...booked.map((id) => `Booked: ${describe(id)}`),
+    ...cancelled.map((id) => `Cancelled: ${describe(id)}`),
+    ...rescheduled.map((r) => `Rescheduled: ${describe(r.from)} → ${describe(r.to)}`),
+    ...failed.map((f) => `Failed ${f.tool || "action"}: ${f.error}`),
+  ];
+  if (!rows.length) return "";
+  return `<h3>Appointments</h3><ul>${rows.map((r) => `<li>${escapeHtml(r)}</li>`).join("")}</ul>`;
+}
+
+// ------------------------------------------------------------
+// Call summary emails
+//
+// call_summary_settings: client_id, mode ("per_call" | "daily_digest" | "off"),
+//   recipients text[] (empty = clients.email), only_results text[] (call outcome results to
+//   email about; empty = all), include_transcript bool, include_recording bool,
+//   subject_template, body_template (HTML, {{placeholders}} only, see callSummaryVars),
+//   digest_hour (local hour the digest goes out), last_digest_at
+// A digest covers the calls that ended in its window; one whose analysis hasn't finished is
+// listed as such (it has no outcome, so it only shows when only_results is empty).
+// ------------------------------------------------------------
+const DEFAULT_CALL_SUMMARY_SETTINGS = {
+  mode: "per_call",
+  recipients: [],
+  only_results: [],
+  include_transcript: true,
+  include_recording: true,
+  subject_template: null,
+  body_template: null,
+  digest_hour: 18,
+  last_digest_at: null,
+};
+
+const DEFAULT_CALL_SUMMARY_SUBJECT = "AI Call Summary: {{action_upper}}";
+
+async function getCallSummarySettings(client) {
+  const { data, error } = await supabase
+    .from("call_summary_settings")
+    .select("*")
+    .eq("client_id", client.id)
+    .maybeSingle();
+  if (error) throw error;
+  const settings = { ...DEFAULT_CALL_SUMMARY_SETTINGS };
+  for (const [k, v] of Object.entries(data || {})) if (v != null) settings[k] = v;
+  if (!settings.recipients?.length) settings.recipients = client.email ? [client.email] : [];
+  return settings;
+}
+
+function callMatchesSummaryFilter(settings, result) {
+  return !settings.only_results?.length || settings.only_results.includes(result);
+}
+
+async function callSummaryVars(client, record, settings) {
+  const appts = await loadOutcomeAppointments(client.id, record.outcome);
+  const recording_url = settings.include_recording ? record.recording_url || "" : "";
+  const transcript = settings.include_transcript ? record.transcript || "" : "";
+  return {
+    business_name: client.name || "",
+    call_id: record.retell_call_id,
+    agent_id: record.agent_id || "",
+    from_number: record.from_number || "",
+    action: record.action,
+    action_upper: String(record.action || "").toUpperCase(),
+    result: record.outcome?.result || "",
+    summary: record.summary || "(none)",
+    transcript,
+    recording_url,
+    appointments_html: outcomeHtml(record.outcome, appts),
+    transcript_html: transcript
+      ? `<h3>Transcript</h3><pre style="white-space:pre-wrap;">${escapeHtml(transcript)}</pre>`
+      : "",
+    recording_html: recording_url
+      ? `<h3>Recording</h3><a href="${escapeHtml(recording_url)}">Listen / Download Recording</a>`
+      : "",
+  };
+}
+
+const DEFAULT_CALL_SUMMARY_BODY = `
+  <h2>AI Call Summary</h2>
+  <p><b>Client:</b> {{business_name}}</p>
+  <p><b>Action:</b> {{action}}</p>
+  <p><b>From:</b> {{from_number}}</p>
+  <p><b>Call:</b> {{call_id}}</p>
+  {{appointments_html}}
+
+  <h3>Summary</h3>
+  <p>{{summary}}</p>
+
+  {{transcript_html}}
+  {{recording_html}}
+`;
+
+async function sendSummaryEmail(settings, subject, html) {
+  if (!settings.recipients.length) throw new Error("No call summary recipients configured");
+  const id = await sendMessage({ channel: "email", to: settings.recipients, subject, html });
+  console.log(JSON.stringify({ level: "info", msg: "EMAIL SENT", id }));
+}
+
+// Per-call email for one analyzed call, unless the client gets digests or filters it out.
+async function sendCallSummary(client, record) {
+  const settings = await getCallSummarySettings(client);
+  if (settings.mode !== "per_call") return;
+  if (!callMatchesSummaryFilter(settings, record.outcome?.result)) return;
+
+  const vars = await callSummaryVars(client, record, settings);
+  const subject = renderTemplate(settings.subject_template || DEFAULT_CALL_SUMMARY_SUBJECT, vars);
+  const html = renderTemplate(settings.body_template || DEFAULT_CALL_SUMMARY_BODY, vars, { html: true });
+  await sendSummaryEmail(settings, subject, html);
+}
+
+// Clients on daily_digest whose digest hour has passed and who haven't had today's yet.
+// last_digest_at is moved forward before the job is queued, so each window is sent once.
+async function queueDueCallDigests() {
+  const { data: due, error } = await supabase
+    .from("call_summary_settings")
+    .select("client_id,digest_hour,last_digest_at")
+    .eq("mode", "daily_digest");
+  if (error) throw error;
+
+  for (const row of due || []) {
+    const { timezone } = await getClientBusinessRules(row.client_id);
+    const now = DateTime.now().setZone(timezone);
+    if (now.hour < (row.digest_hour ?? DEFAULT_CALL_SUMMARY_SETTINGS.digest_hour)) continue;
+    const last = row.last_digest_at ? DateTime.fromISO(row.last_digest_at).setZone(timezone) : null;
+    if (last && last.toISODate() === now.toISODate()) continue;
+
+    const since = row.last_digest_at || now.minus({ days: 1 }).toUTC().toISO();
+    const until = now.toUTC().toISO();
+    let claim = supabase.from("call_summary_settings").update({ last_digest_at: until }).eq("client_id", row.client_id);
+    claim = row.last_digest_at ? claim.eq("last_digest_at", row.last_digest_at) : claim.is("last_digest_at", null);
+    const { data: claimed, error: claimErr } = await claim.select("client_id");
+    if (claimErr) throw claimErr;
+    if (!claimed?.length) continue;
+
+    await enqueueJob("email.call_digest", { client_id: row.client_id, since, until });
+  }
+}
+
+async function sendCallDigest({ client_id, since, until }) {
+  const { data: client, error: cErr } = await supabase
+    .from("clients")
+    .select("id,email,name")
+    .eq("id", client_id)
+    .single();
+  if (cErr) throw cErr;
+  const settings = await getCallSummarySettings(client);
+  const { timezone } = await getClientBusinessRules(client_id);
+
+  const { rows: calls, truncated } = await fetchAllRows(() =>
+    supabase
+      .from("calls")
+      .select("retell_call_id,agent_id,from_number,action,outcome,summary,recording_url,started_at,ended_at,status")
+      .eq("client_id", client_id)
+      .gt("ended_at", since)
+      .lte("ended_at", until)
+      .order("ended_at", { ascending: true })
+  );
+
+  const included = calls.filter((c) => callMatchesSummaryFilter(settings, c.outcome?.result));
+  if (!included.length) return;
+
+  const items = [];
+  for (const c of included) {
+    const appts = c.outcome ? await loadOutcomeAppointments(client_id, c.outcome) : new Map();
+    const at = DateTime.fromISO(c.started_at || c.ended_at, { zone: timezone }).toFormat("h:mm a");
+    const recording =
+      settings.include_recording && c.recording_url
+        ? ` · <a href="${escapeHtml(c.recording_url)}">recording</a>`
+        : "";
+    const summary = c.outcome ? c.summary || "(none)" : "(not analyzed yet)";
+    items.push(`<li><p><b>${escapeHtml(at)}</b> · ${escapeHtml(c.from_number || "(unknown)")} ·
+${escapeHtml(c.action || c.status || "")}${recording}</p><p>${escapeHtml(summary)}</p>
+${c.outcome ? outcomeHtml(c.outcome, appts) : ""}</li>`);
+  }
+  if (truncated) items.push("<li><p>(more calls than one digest lists; see the calls export for the rest)</p></li>");
+
+  const day = DateTime.fromISO(until, { zone: timezone }).toFormat("cccc, LLLL d");
+  const counts = included.reduce((acc, c) => {
+    const key = c.outcome ? c.action : "not analyzed";
+    return { ...acc, [key]: (acc[key] || 0) + 1 };
+  }, {});
+  const tally = Object.entries(counts)
+    .map(([k, n]) => `${n} ${k}`)
+    .join(", ");
+  const html = `<h2>AI Call Digest: ${escapeHtml(client.name || "")}</h2>
+<p>${escapeHtml(day)}: ${included.length} call(s) (${escapeHtml(tally)})</p>
+<ul>${items.join("\n")}</ul>`;
+  await sendSummaryEmail(settings, `AI Call Digest: ${day} (${included.length} calls)`, html);
+}
+
+// Records the analysis of a call and sends its summary (job "retell.call_analyzed").
+async function processAnalyzedCall({ client_id, call_id }) {
+  const { data: client, error: cErr } = await supabase
+    .from("clients")
+    .select("id,email,name")
+    .eq("id", client_id)
+    .single();
+  if (cErr) throw cErr;
+
+  const call = await fetchRetellCall(call_id);
+
+  const summary =
+    call?.call_analysis?.call_summary ||
+    call?.call_analysis?.summary ||
+    call?.call_summary ||
+    call?.summary ||
+    "";
+
+  const transcript = normalizeTranscriptFromRetellCall(call) || "";
+
+  const from_number =
+    call?.from_number || call?.from || call?.caller_number || call?.call?.from_number || "(unknown)";
+
+  const recording_url = call?.recording_url || call?.recordingUrl || call?.call?.recording_url || "";
+
+  const outcome = await deriveCallOutcome(client_id, call);
+  const action = ACTION_FOR_RESULT[outcome.result] || outcome.result;
+
+  const { error: callErr } = await supabase
+    .from("calls")
+    .update({
+      ...callFieldsFromRetell(call || {}),
+      outcome,
+      appointment_ids: outcomeAppointmentIds(outcome),
+      action,
+      summary: summary || "(none)",
+      transcript: transcript || "(none)",
+      recording_url: recording_url || null,
+      from_number,
+    })
+    .eq("client_id", client_id)
+    .eq("retell_call_id", call_id);
+  if (callErr) throw callErr;
+
+  // fixed event id: a retry of this job must not announce the call twice
+  await enqueueAfterCommit("call-analyzed", [
+    webhookEvent(
+      client_id,
+      "call.analyzed",
+      {
+        call_id,
+        agent_id: call?.agent_id || null,
+        from_number,
+        action,
+        outcome,
+        appointment_ids: outcomeAppointmentIds(outcome),
+        summary: summary || null,
+        transcript: transcript || null,
+        recording_url: recording_url || null,
+      },
+      { id: `evt_call_analyzed_${call_id}` }
+    ),
+  ]);
+
+  await sendCallSummary(client, {
+    retell_call_id: call_id,
+    agent_id: call?.agent_id || null,
+    from_number,
+    action,
+    outcome,
+    summary,
+    transcript,
+    recording_url,
+  });
+}
+
+// ------------------------------------------------------------
+// Retell verification pings (GET/HEAD)
+// ------------------------------------------------------------
+app.all("/retell-webhook", (req, res, next) => {
+  if (req.method === "GET" || req.method === "HEAD") return res.status(200).send("ok");
+  return next();
+});
+
+// ------------------------------------------------------------
+// Google OAuth onboarding
+//
+// google_onboarding_sessions: id, client_id, staff_id (null = the client's own connection),
+//   token (secret in the onboarding link), expires_at, state_nonce, state_used_at, completed_at,
+//   created_at
+//
+// Ops issue a link per client, or per staff member connecting (or reconnecting) their own
+// account (POST /admin/clients/:client_id/google/onboarding, { staff_id }). Opening it
+// starts consent with a signed, expiring OAuth state naming the session and a fresh nonce;
+// the nonce also goes into a cookie, so the callback only accepts the browser that started
+// it, and the session row takes it once. After consent the same link picks the calendars.
+// ------------------------------------------------------------
+const ONBOARDING_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_NONCE_COOKIE = "g_oauth_nonce";
+
+function signOAuthState(payload) {
+  return crypto.createHmac("sha256", mustEnv("OAUTH_STATE_SECRET")).update(payload).digest("base64url");
+}
+
+function createOAuthState(session_id, nonce) {
+  const payload = Buffer.from(
+    JSON.stringify({ s: session_id, n: nonce, e: Math.floor((Date.now() + OAUTH_STATE_TTL_MS) / 1000) })
+  ).toString("base64url");
+  return `${payload}.${signOAuthState(payload)}`;
+}
+
+function verifyOAuthState(state) {
+  const [payload, sig] = String(state || "").split(".");
+  if (!payload || !sig || !safeEqual(sig, signOAuthState(payload))) throw httpError(400, "Invalid sign-in state.");
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw httpError(400, "Invalid sign-in state.");
+  }
+  if (!claims.e || claims.e * 1000 < Date.now()) throw httpError(410, "Sign-in took too long. Open the link again.");
+  return { session_id: claims.s, nonce: claims.n };
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+async function createOnboardingSession(client_id, staff_id = null) {
+  const { data, error } = await supabase
+    .from("google_onboarding_sessions")
+    .insert({
+      client_id,
+      staff_id,
+      token: crypto.randomBytes(24).toString("base64url"),
+      expires_at: new Date(Date.now() + ONBOARDING_SESSION_TTL_MS).toISOString(),
+    })
+    .select("token,expires_at")
+    .single();
+  if (error) throw error;
+  return { expires_at: data.expires_at, url: publicUrl(`/onboard/google/start?session=${data.token}`) };
+}
+
+async function loadOnboardingSession(column, value) {
+  const { data, error } = await supabase
+    .from("google_onboarding_sessions")
+    .select("*")
+    .eq(column, value)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, "This onboarding link is not valid.");
+  if (DateTime.fromISO(data.expires_at) < DateTime.now()) throw httpError(410, "This onboarding link has expired.");
+  return data;
+}
+
+function sendOnboardingError(req, res, e, where) {
+  logError(req, e, where);
+  const status = e.status || 500;
+  const msg = status === 500 ? "Something went wrong. Please try again." : e.message;
+  return res.status(status).send(htmlPage("Connect Google Calendar", `<p>${escapeHtml(msg)}</p>`));
+}
+
+function onboardingCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: /^https:/.test(process.env.PUBLIC_BASE_URL || ""),
+    path: "/onboard/google",
+  };
+}
+
+// Staff member a session connects, or null for the client's own connection.
+function onboardingStaff(session) {
+  return session.staff_id ? getStaffMember(session.client_id, session.staff_id) : null;
+}
+
+// Saves the new refresh token; a reconnect keeps the calendars chosen before.
+async function saveGoogleConnection(session, refresh_token) {
+  const { client_id, staff_id } = session;
+  if (staff_id) {
+    const { data, error } = await supabase
+      .from("staff")
+      .update({ refresh_token, google_status: "connected", google_disconnected_at: null })
+      .eq("id", staff_id)
+      .eq("client_id", client_id)
+      .select("id");
+    if (error) throw error;
+    if (!data?.length) throw httpError(404, "Unknown staff_id");
+    return;
+  }
+
+  const connection = {
+    refresh_token,
+    status: "connected",
+    connected_at: new Date().toISOString(),
+    disconnected_at: null,
+    disconnected_reason: null,
+  };
+  const { data: updated, error } = await supabase
+    .from("client_google")
+    .update(connection)
+    .eq("client_id", client_id)
+    .select("client_id");
+  if (error) throw error;
+  if (updated?.length) return;
+
+  const { error: insErr } = await supabase
+    .from("client_google")
+    .insert({ client_id, calendar_id: "primary", ...connection });
+  if (insErr) throw insErr;
+}
+
+app.get("/onboard/google/start", async (req, res) => {
+  try {
+    // the old ?client_id= form let anyone attach their Google account to any client
+    if (!req.query.session) throw httpError(400, "Use the onboarding link you were sent.");
+    const session = await loadOnboardingSession("token", String(req.query.session));
+    if (session.state_used_at) {
+      return res.redirect(`/onboard/google/calendars?session=${encodeURIComponent(session.token)}`);
+    }
+
+    // a newer start replaces the nonce, so only the latest consent screen can finish
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const { error } = await supabase
+      .from("google_onboarding_sessions")
+      .update({ state_nonce: nonce })
+      .eq("id", session.id);
+    if (error) throw error;
+
+    const oauth2Client = getOAuthClient();
+    const url = oauth2Client.generateAuthUrl({
+      access_type: "offline",
+      prompt: "consent",
+      scope: ["https://www.googleapis.com/auth/calendar"],
+      state: createOAuthState(session.id, nonce),
+    });
+
+    res.cookie(OAUTH_NONCE_COOKIE, nonce, { ...onboardingCookieOptions(), maxAge: OAUTH_STATE_TTL_MS });
+    return res.redirect(url);
+  } catch (e) {
+    return sendOnboardingError(req, res, e, "onboard/google/start");
+  }
+});
+
+app.get("/onboard/google/callback", async (req, res) => {
+  try {
+    const { session_id, nonce } = verifyOAuthState(req.query.state);
+    res.clearCookie(OAUTH_NONCE_COOKIE, onboardingCookieOptions());
+    if (!safeEqual(readCookie(req, OAUTH_NONCE_COOKIE) || "", nonce)) {
+      throw httpError(400, "Finish signing in in the browser that opened the onboarding link.");
+    }
+    if (req.query.error) throw httpError(400, `Google sign-in was not completed (${req.query.error}).`);
+    if (!req.query.code) throw httpError(400, "Missing code");
+
+    const session = await loadOnboardingSession("id", session_id);
+    const { data: claimed, error: claimErr } = await supabase
+      .from("google_onboarding_sessions")
+      .update({ state_used_at: new Date().toISOString() })
+      .eq("id", session.id)
+      .eq("state_nonce", nonce)
+      .is("state_used_at", null)
+      .select("id");
+    if (claimErr) throw claimErr;
+    if (!claimed?.length) throw httpError(409, "This sign-in was already used. Open the onboarding link again.");
+
+    // until the connection is saved the session isn't used up: any failure lets the link start over
+    try {
+      const oauth2Client = getOAuthClient();
+      const { tokens } = await oauth2Client.getToken(String(req.query.code));
+      // prompt=consent normally always returns one
+      if (!tokens.refresh_token) throw httpError(400, "No refresh_token received. Open the onboarding link again.");
+      await saveGoogleConnection(session, tokens.refresh_token);
+    } catch (e) {
+      await compensate(
+        "onboard/google/callback/release",
+        async () => {
+          const { error } = await supabase
+            .from("google_onboarding_sessions")
+            .update({ state_used_at: null })
+            .eq("id", session.id);
+          if (error) throw error;
+        },
+        { session_id: session.id }
+      );
+      throw e;
+    }
+    return res.redirect(`/onboard/google/calendars?session=${encodeURIComponent(session.token)}`);
+  } catch (e) {
+    return sendOnboardingError(req, res, e, "onboard/google/callback");
+  }
+});
+
+// Calendars the connected account can see; only writable ones can take bookings.
+async function listConnectableCalendars(client_id, staff = null) {
+  const { calendar, calendar_id, busy_calendar_ids } = await getClientCalendar(client_id, staff);
+  const { data } = await calendar.calendarList.list({ maxResults: 250 });
+  const calendars = (data.items || []).map((c) => ({
+    id: c.id,
+    name: c.summaryOverride || c.summary || c.id,
+    primary: Boolean(c.primary),
+    writable: ["owner", "writer"].includes(c.accessRole) || (c.primary && !c.accessRole),
+  }));
+  return { calendars, calendar_id, busy_calendar_ids };
+}
+
+async function loadConnectedSession(token) {
+  const session = await loadOnboardingSession("token", String(token || ""));
+  if (!session.state_used_at) throw httpError(409, "Connect Google first: open the onboarding link again.");
+  return session;
+}
+
+app.get("/onboard/google/calendars", async (req, res) => {
+  try {
+    const session = await loadConnectedSession(req.query.session);
+    const staff = await onboardingStaff(session);
+    const { calendars, calendar_id, busy_calendar_ids } = await listConnectableCalendars(session.client_id, staff);
+    const current = calendars.some((c) => c.id === calendar_id) ? calendar_id : calendars.find((c) => c.primary)?.id;
+
+    const bookingOptions = calendars
+      .filter((c) => c.writable)
+      .map(
+        (c) => `<label><input type="radio" name="calendar_id" value="${escapeHtml(c.id)}"${
+          c.id === current ? " checked" : ""
+        }> ${escapeHtml(c.name)}</label><br>`
+      )
+      .join("\n");
+    const busyOptions = calendars
+      .map(
+        (c) => `<label><input type="checkbox" name="busy_calendar_ids" value="${escapeHtml(c.id)}"${
+          busy_calendar_ids.includes(c.id) ? " checked" : ""
+        }> ${escapeHtml(c.name)}</label><br>`
+      )
+      .join("\n");
+
+    return res.send(
+      htmlPage(
+        "Choose calendars",
+        `<h1>Choose calendars</h1>
+<form method="post" action="/onboard/google/calendars">
+<input type="hidden" name="session" value="${escapeHtml(session.token)}">
+<h2>Book appointments into</h2>
+${bookingOptions || "<p>No calendar on this account can take bookings.</p>"}
+<h2>Also treat events in these as busy</h2>
+${busyOptions}
+<p><button type="submit">Save</button></p>
+</form>`
+      )
+    );
+  } catch (e) {
+    return sendOnboardingError(req, res, e, "onboard/google/calendars");
+  }
+});
+
+app.post("/onboard/google/calendars", formBody, async (req, res) => {
+  try {
+    const session = await loadConnectedSession(req.body?.session);
+    const staff = await onboardingStaff(session);
+    const { calendars } = await listConnectableCalendars(session.client_id, staff);
+    const byId = new Map(calendars.map((c) => [c.id, c]));
+
+    const calendar_id = String(req.body?.calendar_id || "");
+    if (!byId.get(calendar_id)?.writable) throw httpError(400, "Pick a calendar to book appointments into.");
+    const busy = [].concat(req.body?.busy_calendar_ids || []).map(String);
+    if (busy.some((id) => !byId.has(id))) throw httpError(400, "Unknown calendar selected.");
+    const busy_calendar_ids = [...new Set(busy)].filter((id) => id !== calendar_id);
+
+    const { error } = await (staff
+      ? supabase.from("staff").update({ calendar_id, busy_calendar_ids }).eq("id", staff.id)
+      : supabase.from("client_google").update({ calendar_id, busy_calendar_ids }).eq("client_id", session.client_id));
+    if (error) throw error;
+    await supabase
+      .from("google_onboarding_sessions")
+      .update({ completed_at: new Date().toISOString() })
+      .eq("id", session.id);
+
+    return res.send(
+      htmlPage(
+        "Google Calendar connected",
+        `<p>✅ Google Calendar connected. Appointments go into <b>${escapeHtml(byId.get(calendar_id).name)}</b>.
+You can close this tab.</p>`
+      )
+    );
+  } catch (e) {
+    return sendOnboardingError(req, res, e, "onboard/google/calendars/save");
+  }
+});
+
+app.post("/admin/clients/:client_id/google/onboarding", adminAuth, async (req, res) => {
+  try {
+    const client = await getAdminClient(req.params.client_id);
+    const staff_id = req.body?.staff_id ? (await getStaffMember(client.id, String(req.body.staff_id))).id : null;
+    const session = await createOnboardingSession(client.id, staff_id);
+    return res
+      .status(201)
+      .json({ ok: true, client_id: client.id, staff_id, url: session.url, expires_at: session.expires_at });
+  } catch (e) {
+    logError(req, e, "admin/google/onboarding");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Stops push sync, revokes the refresh token at Google and forgets it.
+app.post("/admin/clients/:client_id/google/disconnect", adminAuth, async (req, res) => {
+  try {
+    const { data: google, error } = await supabase
+      .from("client_google")
+      .select("refresh_token,status")
+      .eq("client_id", req.params.client_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!google) return res.status(404).json({ ok: false, error: "Client has no Google connection" });
+
+    let revoked = false;
+    if (google.refresh_token && google.status !== "disconnected") {
+      const { data: channels, error: chErr } = await supabase
+        .from("google_watch_channels")
+        .select("*")
+        .eq("client_id", req.params.client_id)
+        .eq("status", "active");
+      if (chErr) throw chErr;
+      for (const channel of channels || []) {
+        try {
+          await stopCalendarWatch(channel);
+        } catch (e) {
+          logError(req, e, "admin/google/disconnect/stop-watch", { channel_id: channel.id });
+        }
+      }
+
+      // Google may already consider the token dead; we forget it either way
+      try {
+        await getOAuthClient().revokeToken(google.refresh_token);
+        revoked = true;
+      } catch (e) {
+        logError(req, e, "admin/google/disconnect/revoke");
+      }
+    }
+    await stopClientWatchChannels(req.params.client_id);
+
+    const { error: updErr } = await supabase
+      .from("client_google")
+      .update({
+        refresh_token: null,
+        status: "disconnected",
+        disconnected_at: new Date().toISOString(),
+        disconnected_reason: "Disconnected by admin",
+      })
+      .eq("client_id", req.params.client_id);
+    if (updErr) throw updErr;
+
+    return res.json({ ok: true, client_id: req.params.client_id, revoked });
+  } catch (e) {
+    logError(req, e, "admin/google/disconnect");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// Google Calendar push notifications
+// ------------------------------------------------------------
+
+// Registers (or re-registers) watch channels on a client's calendar and its staff calendars.
+app.post("/admin/google/watch", adminAuth, async (req, res) => {
+  try {
+    const { client_id } = req.body || {};
+    if (!client_id) return res.status(400).json({ ok: false, error: "Missing client_id" });
+
+    const { data: existing, error } = await supabase
+      .from("google_watch_channels")
+      .select("*")
+      .eq("client_id", client_id)
+      .eq("status", "active");
+    if (error) throw error;
+
+    const staffList = await listClientStaff(client_id);
+    const targets = staffList.length ? staffList : [null];
+
+    const channels = [];
+    for (const staff of targets) {
+      const channel = await startCalendarWatch({ client_id, staff });
+      channels.push({
+        id: channel.id,
+        staff_id: channel.staff_id,
+        calendar_id: channel.calendar_id,
+        expiration: channel.expiration,
+      });
+    }
+    for (const old of existing || []) await stopCalendarWatch(old);
+
+    return res.json({ ok: true, channels });
+  } catch (e) {
+    logError(req, e, "admin/google/watch");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/webhooks/google-calendar", async (req, res) => {
+  try {
+    const channelId = String(req.headers["x-goog-channel-id"] || "");
+    const token = String(req.headers["x-goog-channel-token"] || "");
+    const state = String(req.headers["x-goog-resource-state"] || "");
+    if (!channelId) return res.status(400).json({ ok: false, error: "Missing channel id" });
+
+    const { data: channel, error } = await supabase
+      .from("google_watch_channels")
+      .select("*")
+      .eq("id", channelId)
+      .maybeSingle();
+    if (error) throw error;
+
+    // unknown or stopped channels get a 200 too, otherwise Google keeps retrying
+    if (!channel || channel.status !== "active") return res.json({ ok: true, ignored: true });
+    if (!safeEqual(token, channel.token)) return res.status(401).json({ ok: false, error: "Unauthorized" });
+
+    if (state === "sync") return res.json({ ok: true });
+
+    // a burst of pushes for one channel collapses into a single queued sync
+    await enqueueJob("calendar.sync", { channel_id: channel.id }, { dedupe_key: `calendar.sync:${channel.id}` });
+    return res.json({ ok: true, accepted: true });
+  } catch (e) {
+    logError(req, e, "webhooks/google-calendar");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// Waitlist claim links (public)
+// ------------------------------------------------------------
+function htmlPage(title, body) {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family:sans-serif;max-width:32rem;margin:2rem auto;padding:0 1rem;">
+${body}
+</body>
+</html>`;
+}
+
+// GET only shows the offer; link previews in SMS apps must not claim it.
+app.get("/waitlist/claim/:token", async (req, res) => {
+  try {
+    const { data: offer, error } = await supabase
+      .from("waitlist_offers")
+      .select("start_time,status,expires_at,client_id")
+      .eq("token", req.params.token)
+      .maybeSingle();
+    if (error) throw error;
+    if (!offer) return res.status(404).send(htmlPage("Not found", "<p>This link is not valid.</p>"));
+    if (offer.status !== "pending" || DateTime.fromISO(offer.expires_at) <= DateTime.now()) {
+      return res.status(410).send(htmlPage("Expired", "<p>Sorry, this offer is no longer available.</p>"));
+    }
+
+    const { timezone } = await getClientBusinessRules(offer.client_id);
+    const when = DateTime.fromISO(offer.start_time, { zone: timezone }).toFormat("cccc, LLLL d 'at' h:mm a");
+    return res.send(
+      htmlPage(
+        "Claim appointment",
+        `<h2>An appointment opened up</h2><p>${escapeHtml(when)}</p>
+<form method="post"><button type="submit">Book it</button></form>`
+      )
+    );
+  } catch (e) {
+    logError(req, e, "waitlist/claim");
+    return res.status(500).send(htmlPage("Error", "<p>Something went wrong. Please try again.</p>"));
+  }
+});
+
+app.post("/waitlist/claim/:token", async (req, res) => {
+  try {
+    const { appointment } = await claimWaitlistOffer(req.params.token);
+    const { timezone } = await getClientBusinessRules(appointment.client_id);
+    const when = DateTime.fromISO(appointment.start_time, { zone: timezone }).toFormat("cccc, LLLL d 'at' h:mm a");
+    return res.send(htmlPage("Booked", `<h2>You're booked</h2><p>${escapeHtml(when)}</p>`));
+  } catch (e) {
+    logError(req, e, "waitlist/claim");
+    const status = e.status || 500;
+    const msg = status === 500 ? "Something went wrong. Please try again." : e.message;
+    return res.status(status).send(htmlPage("Not booked", `<p>${escapeHtml(msg)}</p>`));
+  }
+});
+
+// ------------------------------------------------------------
+// Customer manage pages (public, token from manageUrl)
+//
+// appointments.customer_confirmed_at records "confirm attendance". Cancel and reschedule go
+// through cancelBooking/rescheduleBooking like the tools do. GETs never change anything.
+// ------------------------------------------------------------
+const MANAGE_SLOT_LIMIT = 12;
+const MANAGE_SEARCH_DAYS = 14;
+
+function formatWhen(iso, timezone) {
+  return DateTime.fromISO(iso, { zone: timezone }).toFormat("cccc, LLLL d 'at' h:mm a");
+}
+
+async function loadManagedAppointment(token) {
+  const { appointment_id, client_id } = verifyManageToken(token);
+  const appt = await getClientAppointment(client_id, appointment_id);
+  const rules = await getClientBusinessRules(client_id);
+  return { appt, rules };
+}
+
+function sendManageError(req, res, e, where) {
+  logError(req, e, where);
+  const status = e.status || 500;
+  const msg = status === 500 ? "Something went wrong. Please try again." : e.message;
+  return res.status(status).send(htmlPage("Manage booking", `<p>${escapeHtml(msg)}</p>`));
+}
+
+app.get("/manage/:token", async (req, res) => {
+  try {
+    const { appt, rules } = await loadManagedAppointment(req.params.token);
+    const when = escapeHtml(formatWhen(appt.start_time, rules.timezone));
+    const title = escapeHtml(appt.title || "Appointment");
+
+    if (appt.status !== "booked") {
+      const body = `<h2>${title}</h2><p>${when}</p><p>This booking is ${escapeHtml(appt.status)}.</p>`;
+      return res.send(htmlPage("Manage booking", body));
+    }
+
+    const base = `/manage/${encodeURIComponent(req.params.token)}`;
+    const confirmed = appt.customer_confirmed_at
+      ? "<p>You've confirmed you're coming.</p>"
+      : `<form method="post" action="${base}/confirm"><button type="submit">I'll be there</button></form>`;
+    return res.send(
+      htmlPage(
+        "Manage booking",
+        `<h2>${title}</h2><p>${when}</p>
+${confirmed}
+<p><a href="${base}/reschedule">Pick a new time</a></p>
+<form method="post" action="${base}/cancel"><button type="submit">Cancel booking</button></form>`
+      )
+    );
+  } catch (e) {
+    return sendManageError(req, res, e, "manage/view");
+  }
+});
+
+app.post("/manage/:token/confirm", async (req, res) => {
+  try {
+    const { appt, rules } = await loadManagedAppointment(req.params.token);
+    if (appt.status !== "booked") throw httpError(409, `This booking is ${appt.status}.`);
+
+    if (!appt.customer_confirmed_at) {
+      const { error } = await supabase
+        .from("appointments")
+        .update({ customer_confirmed_at: new Date().toISOString() })
+        .eq("id", appt.id);
+      if (error) throw error;
+    }
+    const when = escapeHtml(formatWhen(appt.start_time, rules.timezone));
+    return res.send(htmlPage("Confirmed", `<h2>Thanks, see you then</h2><p>${when}</p>`));
+  } catch (e) {
+    return sendManageError(req, res, e, "manage/confirm");
+  }
+});
+
+app.post("/manage/:token/cancel", async (req, res) => {
+  try {
+    const { appt, rules } = await loadManagedAppointment(req.params.token);
+    await cancelBooking({ client_id: appt.client_id, appointment_id: appt.id });
+    const when = escapeHtml(formatWhen(appt.start_time, rules.timezone));
+    return res.send(htmlPage("Cancelled", `<h2>Your booking was cancelled</h2><p>${when}</p>`));
+  } catch (e) {
+    return sendManageError(req, res, e, "manage/cancel");
+  }
+});
+
+// ?from=YYYY-MM-DD pages forward through availability
+app.get("/manage/:token/reschedule", async (req, res) => {
+  try {
+    const { appt, rules } = await loadManagedAppointment(req.params.token);
+    if (appt.status !== "booked") throw httpError(409, `This booking is ${appt.status}.`);
+
+    const service = appt.service_id
+      ? await getClientService(appt.client_id, appt.service_id, { includeInactive: true })
+      : null;
+    const durationMinutes =
+      service?.duration_minutes ||
+      DateTime.fromISO(appt.end_time).diff(DateTime.fromISO(appt.start_time), "minutes").minutes;
+
+    const today = DateTime.now().setZone(rules.timezone).startOf("day");
+    let from = DateTime.fromISO(String(req.query.from || ""), { zone: rules.timezone });
+    if (!from.isValid || from < today) from = today;
+
+    const slots = await findAvailableSlots({
+      client_id: appt.client_id,
+      rules,
+      service,
+      staff_id: appt.staff_id || null,
+      existingStaffId: appt.staff_id || null,
+      fromDate: from.toISODate(),
+      toDate: from.plus({ days: MANAGE_SEARCH_DAYS - 1 }).toISODate(),
+      durationMinutes,
+      limit: MANAGE_SLOT_LIMIT,
+    });
+
+    const base = `/manage/${encodeURIComponent(req.params.token)}`;
+    const options = slots
+      .map(
+        (slot) => `<form method="post" action="${base}/reschedule" style="margin:.25rem 0">
+<input type="hidden" name="start_time" value="${escapeHtml(slot.start_time)}">
+<button type="submit">${escapeHtml(formatWhen(slot.start_time, rules.timezone))}</button></form>`
+      )
+      .join("\n");
+    const next = slots.length
+      ? DateTime.fromISO(slots[slots.length - 1].start_time, { zone: rules.timezone }).plus({ days: 1 })
+      : from.plus({ days: MANAGE_SEARCH_DAYS });
+
+    return res.send(
+      htmlPage(
+        "Pick a new time",
+        `<h2>Pick a new time</h2>
+<p>Currently: ${escapeHtml(formatWhen(appt.start_time, rules.timezone))}</p>
+${options || "<p>No open times in this range.</p>"}
+<p><a href="${base}/reschedule?from=${next.toISODate()}">Later times</a> · <a href="${base}">Back</a></p>`
+      )
+    );
+  } catch (e) {
+    return sendManageError(req, res, e, "manage/reschedule");
+  }
+});
+
+app.post("/manage/:token/reschedule", formBody, async (req, res) => {
+  try {
+    const { appt, rules } = await loadManagedAppointment(req.params.token);
+    const new_start_time = String(req.body?.start_time || "");
+    const start = DateTime.fromISO(new_start_time);
+    if (!start.isValid) throw httpError(400, "Please pick a time from the list.");
+
+    // without a service the booking keeps its current length
+    const minutes = DateTime.fromISO(appt.end_time).diff(DateTime.fromISO(appt.start_time), "minutes").minutes;
+    const { newAppt } = await rescheduleBooking({
+      client_id: appt.client_id,
+      appointment_id: appt.id,
+      new_start_time,
+      new_end_time: start.plus({ minutes }).toISO(),
+    });
+
+    const link = manageUrl(newAppt);
+    return res.send(
+      htmlPage(
+        "Rescheduled",
+        `<h2>You're rescheduled</h2><p>${escapeHtml(formatWhen(newAppt.start_time, rules.timezone))}</p>
+${link ? `<p><a href="${escapeHtml(link)}">Manage this booking</a></p>` : ""}`
+      )
+    );
+  } catch (e) {
+    return sendManageError(req, res, e, "manage/reschedule");
+  }
+});
+
+// ------------------------------------------------------------
+// Calendar feeds (read-only ICS subscription per client)
+//
+// clients.ics_feed_token is the secret in the feed URL; rotating it cuts off old subscribers.
+// ?staff_id= narrows the feed to one staff member's appointments.
+// ------------------------------------------------------------
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+app.post("/admin/clients/:client_id/ics-feed", adminAuth, async (req, res) => {
+  try {
+    const ics_feed_token = crypto.randomBytes(24).toString("base64url");
+    const { data, error } = await supabase
+      .from("clients")
+      .update({ ics_feed_token })
+      .eq("id", req.params.client_id)
+      .select("id");
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ ok: false, error: "Client not found" });
+
+    return res.json({ ok: true, client_id: req.params.client_id, url: publicUrl(`/feeds/${ics_feed_token}.ics`) });
+  } catch (e) {
+    logError(req, e, "admin/ics-feed");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/feeds/:token.ics", async (req, res) => {
+  try {
+    const { data: client, error } = await supabase
+      .from("clients")
+      .select("id,name")
+      .eq("ics_feed_token", req.params.token)
+      .maybeSingle();
+    if (error) throw error;
+    if (!client) return res.status(404).json({ ok: false, error: "Unknown feed" });
+
+    const now = DateTime.now();
+    let query = supabase
+      .from("appointments")
+      .select("*")
+      .eq("client_id", client.id)
+      .eq("status", "booked")
+      .gte("start_time", now.minus({ days: FEED_PAST_DAYS }).toUTC().toISO())
+      .lte("start_time", now.plus({ days: FEED_FUTURE_DAYS }).toUTC().toISO())
+      .order("start_time", { ascending: true })
+      .limit(2000);
+    if (req.query.staff_id) query = query.eq("staff_id", req.query.staff_id);
+    const { data: appts, error: aErr } = await query;
+    if (aErr) throw aErr;
+
+    const events = (appts || []).map((appt) =>
+      buildIcsEvent(appt, {
+        summary: [appt.title || "Appointment", appt.customer_name].filter(Boolean).join(" - "),
+        description: [appt.customer_phone, appt.customer_email, appt.notes].filter(Boolean).join("\n"),
+      })
+    );
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(buildIcsCalendar({ method: "PUBLISH", name: client.name || "Appointments", events }));
+  } catch (e) {
+    logError(req, e, "feeds/ics");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// Admin: clients, tool tokens and Google status
+//
+// client_tool_tokens: id, client_id, token, label, scope, is_active, created_at, last_used_at,
+//   revoked_at. Tokens are shown in full only when issued; lists show the last 4 characters.
+// ------------------------------------------------------------
+const CLIENT_COLUMNS = "id,name,email,allow_webhook_query_token,created_at";
+const TOOL_TOKEN_COLUMNS = "id,client_id,token,label,scope,is_active,created_at,last_used_at,revoked_at";
+
+function newToolToken() {
+  return `tt_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function publicToolToken({ token, ...row }) {
+  return { ...row, token_hint: `…${String(token || "").slice(-4)}` };
+}
+
+async function issueToolToken(client_id, label = null, scope = "tools") {
+  const { data, error } = await supabase
+    .from("client_tool_tokens")
+    .insert({ client_id, token: newToolToken(), label, scope, is_active: true })
+    .select(TOOL_TOKEN_COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function getAdminClient(client_id) {
+  const { data, error } = await supabase.from("clients").select(CLIENT_COLUMNS).eq("id", client_id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, "Client not found");
+  return data;
+}
+
+// What a client's Google connection looks like from our side; `check` also makes one API call
+// per calendar to prove the stored refresh token still works.
+async function googleConnectionStatus(client_id, { check = false } = {}) {
+  const [{ data: google, error: gErr }, { data: staff, error: sErr }, { data: channels, error: cErr }] =
+    await Promise.all([
+      supabase
+        .from("client_google")
+        .select("calendar_id,busy_calendar_ids,refresh_token,status,connected_at,disconnected_at,disconnected_reason")
+        .eq("client_id", client_id)
+        .maybeSingle(),
+      supabase
+        .from("staff")
+        .select("id,name,is_active,calendar_id,busy_calendar_ids,refresh_token,google_status")
+        .eq("client_id", client_id),
+      supabase
+        .from("google_watch_channels")
+        .select("staff_id,calendar_id,expiration,status")
+        .eq("client_id", client_id)
+        .eq("status", "active"),
+    ]);
+  if (gErr) throw gErr;
+  if (sErr) throw sErr;
+  if (cErr) throw cErr;
+
+  const probe = async (member) => {
+    if (!check) return undefined;
+    try {
+      const { calendar, calendar_id } = await getClientCalendar(client_id, member);
+      await calendar.calendars.get({ calendarId: calendar_id });
+      return { ok: true };
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  };
+
+  const connected = Boolean(google?.refresh_token) && google?.status !== "disconnected";
+  return {
+    connected,
+    status: google ? google.status || "connected" : "not_connected",
+    connected_at: google?.connected_at || null,
+    disconnected_at: google?.disconnected_at || null,
+    disconnected_reason: google?.disconnected_reason || null,
+    calendar_id: google?.calendar_id || null,
+    busy_calendar_ids: google?.busy_calendar_ids || [],
+    check: connected ? await probe(null) : undefined,
+    staff: await Promise.all(
+      (staff || []).map(async (m) => ({
+        staff_id: m.id,
+        name: m.name,
+        is_active: m.is_active,
+        calendar_id: m.calendar_id || null,
+        own_google_account: Boolean(m.refresh_token),
+        google_status: m.refresh_token ? m.google_status || "connected" : null,
+        check: m.refresh_token || connected ? await probe(m) : undefined,
+      }))
+    ),
+    watch_channels: channels || [],
+  };
+}
+
+app.get("/admin/clients", adminAuth, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 100, 1000));
+    const { data, error } = await supabase
+      .from("clients")
+      .select(CLIENT_COLUMNS)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+
+    return res.json({ ok: true, clients: data || [] });
+  } catch (e) {
+    logError(req, e, "admin/clients/list");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// { name, email, timezone? } -> the client, its first tool token and a Google onboarding link
+app.post("/admin/clients", adminAuth, async (req, res) => {
+  try {
+    const { name, email, timezone } = req.body || {};
+    if (!String(name || "").trim()) return res.status(400).json({ ok: false, error: "Missing name" });
+    const contact = email ? normalizeEmail(email) : null;
+    if (email && !contact) return res.status(400).json({ ok: false, error: "Invalid email" });
+    if (timezone && !DateTime.now().setZone(timezone).isValid) {
+      return res.status(400).json({ ok: false, error: "Invalid timezone (IANA name, e.g. America/Toronto)" });
+    }
+
+    const { data: client, error } = await supabase
+      .from("clients")
+      .insert({ name: String(name).trim(), email: contact })
+      .select(CLIENT_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    if (timezone) {
+      const { error: rErr } = await supabase
+        .from("client_business_rules")
+        .upsert({ client_id: client.id, timezone }, { onConflict: "client_id" });
+      if (rErr) throw rErr;
+    }
+    const token = await issueToolToken(client.id, "default");
+
+    return res.status(201).json({
+      ok: true,
+      client,
+      tool_token: token,
+      google_onboarding: process.env.PUBLIC_BASE_URL ? await createOnboardingSession(client.id) : null,
+    });
+  } catch (e) {
+    logError(req, e, "admin/clients/create");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/admin/clients/:client_id", adminAuth, async (req, res) => {
+  try {
+    const client = await getAdminClient(req.params.client_id);
+    const { timezone } = await getClientBusinessRules(client.id);
+    const { data: tokens, error } = await supabase
+      .from("client_tool_tokens")
+      .select(TOOL_TOKEN_COLUMNS)
+      .eq("client_id", client.id)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+
+    return res.json({
+      ok: true,
+      client: { ...client, timezone },
+      tool_tokens: (tokens || []).map(publicToolToken),
+      google: await googleConnectionStatus(client.id),
+    });
+  } catch (e) {
+    logError(req, e, "admin/clients/get");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ?check=true also calls Google with the stored tokens
+app.get("/admin/clients/:client_id/google", adminAuth, async (req, res) => {
+  try {
+    const client = await getAdminClient(req.params.client_id);
+    const check = req.query.check === "true" || req.query.check === "1";
+    return res.json({ ok: true, client_id: client.id, google: await googleConnectionStatus(client.id, { check }) });
+  } catch (e) {
+    logError(req, e, "admin/clients/google");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/admin/clients/:client_id/tokens", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("client_tool_tokens")
+      .select(TOOL_TOKEN_COLUMNS)
+      .eq("client_id", req.params.client_id)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+
+    return res.json({ ok: true, tokens: (data || []).map(publicToolToken) });
+  } catch (e) {
+    logError(req, e, "admin/tokens/list");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// { label?, scope? ("tools" | "reports") } -> the new token, in full (the only time it is shown)
+app.post("/admin/clients/:client_id/tokens", adminAuth, async (req, res) => {
+  try {
+    const { label = null, scope = "tools" } = req.body || {};
+    if (!TOKEN_SCOPES.includes(scope)) {
+      return res.status(400).json({ ok: false, error: `scope must be one of ${TOKEN_SCOPES.join(", ")}` });
+    }
+    const client = await getAdminClient(req.params.client_id);
+    const token = await issueToolToken(client.id, label, scope);
+    return res.status(201).json({ ok: true, token });
+  } catch (e) {
+    logError(req, e, "admin/tokens/issue");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+async function revokeToolToken(client_id, id) {
+  const { data, error } = await supabase
+    .from("client_tool_tokens")
+    .update({ is_active: false, revoked_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("client_id", client_id)
+    .eq("is_active", true)
+    .select(TOOL_TOKEN_COLUMNS);
+  if (error) throw error;
+  if (!data?.length) throw httpError(404, "No active token with that id");
+  return data[0];
+}
+
+// Issues a replacement (same label and scope) and revokes the old token; wherever the old
+// one was configured (Retell's tool URLs, a dashboard) must be updated with the new one.
+// The replacement exists before the old token stops working, so a failure in between never
+// leaves the client without one.
+app.post("/admin/clients/:client_id/tokens/:id/rotate", adminAuth, async (req, res) => {
+  try {
+    const { client_id, id } = req.params;
+    const { data: current, error } = await supabase
+      .from("client_tool_tokens")
+      .select(TOOL_TOKEN_COLUMNS)
+      .eq("id", id)
+      .eq("client_id", client_id)
+      .eq("is_active", true)
+      .maybeSingle();
+    if (error) throw error;
+    if (!current) throw httpError(404, "No active token with that id");
+
+    const token = await issueToolToken(client_id, current.label, current.scope || "tools");
+    let revoked;
+    try {
+      revoked = await revokeToolToken(client_id, id);
+    } catch (e) {
+      // revoked (or rotated) concurrently: don't leave a second replacement active
+      await compensate("admin/tokens/rotate/undo-issue", () => revokeToolToken(client_id, token.id), {
+        token_id: token.id,
+      });
+      throw e;
+    }
+    return res.json({ ok: true, token, revoked: publicToolToken(revoked) });
+  } catch (e) {
+    logError(req, e, "admin/tokens/rotate");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/admin/clients/:client_id/tokens/:id", adminAuth, async (req, res) => {
+  try {
+    const revoked = await revokeToolToken(req.params.client_id, req.params.id);
+    return res.json({ ok: true, revoked: publicToolToken(revoked) });
+  } catch (e) {
+    logError(req, e, "admin/tokens/revoke");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// Admin: appointments and calls (JSON, or CSV with ?format=csv)
+//
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD are local dates in the client's timezone (both inclusive).
+// JSON pages with ?limit (max 500) and ?offset; CSV exports everything that matches, up to
+// EXPORT_MAX_ROWS (a cut-off export carries X-Export-Truncated: true).
+// ------------------------------------------------------------
+const EXPORT_PAGE_SIZE = 1000;
+const EXPORT_MAX_ROWS = 20000;
+
+const APPOINTMENT_EXPORT_COLUMNS = [
+  "id",
+  "status",
+  "start_time",
+  "end_time",
+  "timezone",
+  "title",
+  "service_id",
+  "staff_id",
+  "customer_id",
+  "customer_name",
+  "customer_email",
+  "customer_phone",
+  "notes",
+  "google_event_id",
+  "call_id",
+  "agent_id",
+  "cancelled_call_id",
+  "cancelled_at",
+  "previous_appointment_id",
+  "attendance",
+  "customer_confirmed_at",
+  "created_at",
+];
+
+const CALL_EXPORT_COLUMNS = [
+  "retell_call_id",
+  "status",
+  "agent_id",
+  "direction",
+  "from_number",
+  "to_number",
+  "started_at",
+  "ended_at",
+  "duration_ms",
+  "disconnection_reason",
+  "cost_cents",
+  "customer_id",
+  "action",
+  "outcome",
+  "appointment_ids",
+  "summary",
+  "recording_url",
+  "analyzed_at",
+  "created_at",
+];
+
+// UTC bounds [start, end) for local dates from..to, either side optional.
+function localDateRange({ from, to }, zone) {
+  const parse = (value, name) => {
+    const day = DateTime.fromISO(String(value), { zone });
+    if (!day.isValid || !/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+      throw httpError(400, `Invalid ${name} (YYYY-MM-DD)`);
+    }
+    return day.startOf("day");
+  };
+  const start = from ? parse(from, "from") : null;
+  const end = to ? parse(to, "to").plus({ days: 1 }) : null;
+  if (start && end && end <= start) throw httpError(400, "to must not be before from");
+  return { start: start?.toUTC().toISO() || null, end: end?.toUTC().toISO() || null };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // spreadsheet apps would run these as formulas; numbers and phone numbers (+15551234, -5) are left alone
+  const plain = typeof value === "number" || /^[+-]?\d[\d\s().-]*$/.test(s);
+  if (!plain && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))].join("\r\n");
+}
+
+function sendCsv(res, filename, csv) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.send(`${csv}\r\n`);
+}
+
+// Runs `build()` (a fresh filtered query each time) page by page, up to EXPORT_MAX_ROWS;
+// `truncated` says more rows matched than were returned.
+async function fetchAllRows(build) {
+  const rows = [];
+  for (let offset = 0; offset < EXPORT_MAX_ROWS; offset += EXPORT_PAGE_SIZE) {
+    const { data, error } = await build().range(offset, offset + EXPORT_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if ((data || []).length < EXPORT_PAGE_SIZE) return { rows, truncated: false };
+  }
+  const { data: more, error } = await build().range(EXPORT_MAX_ROWS, EXPORT_MAX_ROWS);
+  if (error) throw error;
+  return { rows: rows.slice(0, EXPORT_MAX_ROWS), truncated: Boolean(more?.length) };
+}
+
+// Shared by the list routes: JSON page or full CSV export of `build()`.
+async function sendAdminRows(req, res, { build, columns, name }) {
+  if (req.query.format === "csv") {
+    const { rows, truncated } = await fetchAllRows(build);
+    if (truncated) res.set("X-Export-Truncated", "true");
+    return sendCsv(res, `${name}-${req.params.client_id}.csv`, toCsv(rows, columns));
+  }
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 100, 500));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const { data, error } = await build().range(offset, offset + limit - 1);
+  if (error) throw error;
+  return res.json({ ok: true, [name]: data || [], limit, offset });
+}
+
+// ?status=booked&staff_id=&service_id=&customer_id=&from=&to= (by start_time)
+app.get("/admin/clients/:client_id/appointments", adminAuth, async (req, res) => {
+  try {
+    const client = await getAdminClient(req.params.client_id);
+    const { timezone } = await getClientBusinessRules(client.id);
+    const { start, end } = localDateRange(req.query, timezone);
+    const { status, staff_id, service_id, customer_id } = req.query;
+
+    const build = () => {
+      let query = supabase
+        .from("appointments")
+        .select("*")
+        .eq("client_id", client.id)
+        .order("start_time", { ascending: false });
+      if (status) query = query.eq("status", status);
+      if (staff_id) query = query.eq("staff_id", staff_id);
+      if (service_id) query = query.eq("service_id", service_id);
+      if (customer_id) query = query.eq("customer_id", customer_id);
+      if (start) query = query.gte("start_time", start);
+      if (end) query = query.lt("start_time", end);
+      return query;
+    };
+    return await sendAdminRows(req, res, { build, columns: APPOINTMENT_EXPORT_COLUMNS, name: "appointments" });
+  } catch (e) {
+    logError(req, e, "admin/appointments");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ?status=ended&result=booked&agent_id=&customer_id=&from=&to= (by created_at)
+app.get("/admin/clients/:client_id/calls", adminAuth, async (req, res) => {
+  try {
+    const client = await getAdminClient(req.params.client_id);
+    const { timezone } = await getClientBusinessRules(client.id);
+    const { start, end } = localDateRange(req.query, timezone);
+    const { status, result, agent_id, customer_id } = req.query;
+    if (result && !CALL_RESULTS.includes(result)) {
+      return res.status(400).json({ ok: false, error: `result must be one of ${CALL_RESULTS.join(", ")}` });
+    }
+
+    const build = () => {
+      let query = supabase
+        .from("calls")
+        .select("*")
+        .eq("client_id", client.id)
+        .order("created_at", { ascending: false });
+      if (status) query = query.eq("status", status);
+      if (result) query = query.eq("outcome->>result", result);
+      if (agent_id) query = query.eq("agent_id", agent_id);
+      if (customer_id) query = query.eq("customer_id", customer_id);
+      if (start) query = query.gte("created_at", start);
+      if (end) query = query.lt("created_at", end);
+      return query;
+    };
+    return await sendAdminRows(req, res, { build, columns: CALL_EXPORT_COLUMNS, name: "calls" });
+  } catch (e) {
+    logError(req, e, "admin/calls");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+const ATTENDANCE_VALUES = ["attended", "no_show"];
+
+// { attendance: "attended" | "no_show" | null } on an appointment that has already started
+app.post("/admin/clients/:client_id/appointments/:id/attendance", adminAuth, async (req, res) => {
+  try {
+    const attendance = req.body?.attendance ?? null;
+    if (attendance !== null && !ATTENDANCE_VALUES.includes(attendance)) {
+      return res.status(400).json({ ok: false, error: `attendance must be one of ${ATTENDANCE_VALUES.join(", ")}` });
+    }
+    const appt = await getClientAppointment(req.params.client_id, req.params.id);
+    if (appt.status !== "booked") return res.status(409).json({ ok: false, error: `Appointment is ${appt.status}` });
+    if (DateTime.fromISO(appt.start_time) > DateTime.now()) {
+      return res.status(409).json({ ok: false, error: "Appointment has not started yet" });
+    }
+
+    const { error } = await supabase.from("appointments").update({ attendance }).eq("id", appt.id);
+    if (error) throw error;
+    return res.json({ ok: true, appointment_id: appt.id, attendance });
+  } catch (e) {
+    logError(req, e, "admin/appointments/attendance");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// Reports (read-only, /reports/:client_id/..., reportAuth)
+//
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD local dates in the client's timezone (default: the last
+// REPORT_DEFAULT_DAYS days up to today); ?format=csv for CSV. Counted from:
+//   calls          created_at in range; a call "booked" when its outcome result is booked
+//   bookings       appointments created in range that aren't the new row of a reschedule
+//   reschedules    appointments created in range with previous_appointment_id
+//   cancellations  cancelled_at in range
+//   lead time      start_time - created_at of those bookings
+//   no-shows       appointments that started in range and were marked attendance = no_show,
+//                  out of those with attendance recorded
+// ------------------------------------------------------------
+const REPORT_DEFAULT_DAYS = 30;
+const REPORT_MAX_DAYS = 366;
+
+async function reportContext(req) {
+  const { timezone } = await getClientBusinessRules(req.params.client_id);
+  const today = DateTime.now().setZone(timezone).toISODate();
+  const to = req.query.to || today;
+  const from =
+    req.query.from ||
+    DateTime.fromISO(to, { zone: timezone })
+      .minus({ days: REPORT_DEFAULT_DAYS - 1 })
+      .toISODate();
+  const { start, end } = localDateRange({ from, to }, timezone);
+  if (DateTime.fromISO(end).diff(DateTime.fromISO(start), "days").days > REPORT_MAX_DAYS) {
+    throw httpError(400, `Date range is limited to ${REPORT_MAX_DAYS} days`);
+  }
+  return { client_id: req.params.client_id, timezone, from, to, start, end };
+}
+
+// Counts from a cut-off row set would be silently wrong, so a range that big is refused.
+async function reportRows(table, columns, column, { client_id, start, end }) {
+  const { rows, truncated } = await fetchAllRows(() =>
+    supabase
+      .from(table)
+      .select(columns)
+      .eq("client_id", client_id)
+      .gte(column, start)
+      .lt(column, end)
+      .order(column, { ascending: true })
+  );
+  if (truncated) throw httpError(422, "Too much data for one report; use a shorter date range");
+  return rows;
+}
+
+// Everything the reports are computed from, for one range.
+async function loadReportData(ctx) {
+  const [calls, created, cancelled, started] = await Promise.all([
+    reportRows("calls", "created_at,status,outcome", "created_at", ctx),
+    reportRows("appointments", "created_at,start_time,previous_appointment_id", "created_at", ctx),
+    reportRows("appointments", "cancelled_at", "cancelled_at", ctx),
+    reportRows("appointments", "start_time,status,attendance", "start_time", ctx),
+  ]);
+  return {
+    calls,
+    bookings: created.filter((a) => !a.previous_appointment_id),
+    reschedules: created.filter((a) => a.previous_appointment_id),
+    cancelled,
+    started,
+  };
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+function localDate(iso, zone) {
+  return DateTime.fromISO(iso, { zone }).toISODate();
+}
+
+function summarizeReport(ctx, data) {
+  const bookedCalls = data.calls.filter((c) => c.outcome?.result === "booked").length;
+  const leadHours = data.bookings
+    .map((a) => DateTime.fromISO(a.start_time).diff(DateTime.fromISO(a.created_at), "hours").hours)
+    .filter((h) => Number.isFinite(h));
+  const recorded = data.started.filter((a) => a.status === "booked" && a.attendance);
+  const noShows = recorded.filter((a) => a.attendance === "no_show").length;
+
+  return {
+    from: ctx.from,
+    to: ctx.to,
+    timezone: ctx.timezone,
+    calls: data.calls.length,
+    failed_calls: data.calls.filter((c) => c.status === "failed").length,
+    booked_calls: bookedCalls,
+    booking_conversion_rate: ratio(bookedCalls, data.calls.length),
+    bookings: data.bookings.length,
+    cancellations: data.cancelled.length,
+    reschedules: data.reschedules.length,
+    avg_lead_time_hours: leadHours.length
+      ? Math.round((leadHours.reduce((a, b) => a + b, 0) / leadHours.length) * 10) / 10
+      : null,
+    attendance_recorded: recorded.length,
+    no_shows: noShows,
+    no_show_rate: ratio(noShows, recorded.length),
+  };
+}
+
+function dailyReport(ctx, data) {
+  const days = new Map();
+  for (let d = DateTime.fromISO(ctx.from); d.toISODate() <= ctx.to; d = d.plus({ days: 1 })) {
+    const date = d.toISODate();
+    days.set(date, { date, calls: 0, booked_calls: 0, bookings: 0, cancellations: 0, reschedules: 0 });
+  }
+  const bump = (iso, key) => {
+    const row = days.get(localDate(iso, ctx.timezone));
+    if (row) row[key] += 1;
+  };
+  for (const c of data.calls) {
+    bump(c.created_at, "calls");
+    if (c.outcome?.result === "booked") bump(c.created_at, "booked_calls");
+  }
+  for (const a of data.bookings) bump(a.created_at, "bookings");
+  for (const a of data.cancelled) bump(a.cancelled_at, "cancellations");
+  for (const a of data.reschedules) bump(a.created_at, "reschedules");
+  return [...days.values()];
+}
+
+// Calls by the hour they came in, and appointments by the hour they start (booked ones).
+function hourlyReport(ctx, data) {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, calls: 0, appointments: 0 }));
+  for (const c of data.calls) hours[DateTime.fromISO(c.created_at, { zone: ctx.timezone }).hour].calls += 1;
+  for (const a of data.started) {
+    if (a.status === "booked") hours[DateTime.fromISO(a.start_time, { zone: ctx.timezone }).hour].appointments += 1;
+  }
+  return hours;
+}
+
+const REPORTS = {
+  summary: (ctx, data) => [summarizeReport(ctx, data)],
+  daily: dailyReport,
+  hours: hourlyReport,
+};
+
+// /reports/:client_id/summary | daily | hours
+app.get("/reports/:client_id/:report", reportAuth, async (req, res) => {
+  try {
+    const build = REPORTS[req.params.report];
+    if (!build) {
+      return res.status(404).json({ ok: false, error: `Unknown report (${Object.keys(REPORTS).join(", ")})` });
+    }
+
+    const ctx = await reportContext(req);
+    const rows = build(ctx, await loadReportData(ctx));
+
+    if (req.query.format === "csv") {
+      const name = `${req.params.report}-${ctx.client_id}-${ctx.from}-${ctx.to}.csv`;
+      return sendCsv(res, name, toCsv(rows, Object.keys(rows[0])));
+    }
+    const { from, to, timezone } = ctx;
+    if (req.params.report === "summary") return res.json({ ok: true, ...rows[0] });
+    return res.json({ ok: true, from, to, timezone, rows });
+  } catch (e) {
+    logError(req, e, `reports/${req.params.report}`);
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// Admin: jobs
+// ------------------------------------------------------------
+const JOB_STATUSES = ["queued", "running", "succeeded", "dead"];
+
+// ?status=dead&type=notify.appointment&limit=50
+app.get("/admin/jobs", adminAuth, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `status must be one of ${JOB_STATUSES.join(", ")}` });
+    }
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 500));
+
+    let query = supabase.from("jobs").select("*").order("created_at", { ascending: false }).limit(limit);
+    if (status) query = query.eq("status", status);
+    if (type) query = query.eq("type", type);
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return res.json({ ok: true, jobs: data || [] });
+  } catch (e) {
+    logError(req, e, "admin/jobs");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+function requeueJobsQuery() {
+  return supabase.from("jobs").update({
+    status: "queued",
+    attempts: 0,
+    run_at: new Date().toISOString(),
+    locked_at: null,
+    finished_at: null,
+  });
+}
+
+app.post("/admin/jobs/:id/retry", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = await requeueJobsQuery()
+      .eq("id", req.params.id)
+      .eq("status", "dead")
+      .select("id,type,status");
+    if (error) throw error;
+    if (!data?.length) return res.status(409).json({ ok: false, error: "No dead job with that id" });
+
+    kickJobWorker();
+    return res.json({ ok: true, job: data[0] });
+  } catch (e) {
+    logError(req, e, "admin/jobs/retry");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Re-runs every dead job (optionally of one type).
+app.post("/admin/jobs/retry-dead", adminAuth, async (req, res) => {
+  try {
+    let query = requeueJobsQuery().eq("status", "dead");
+    if (req.body?.type) query = query.eq("type", req.body.type);
+    const { data, error } = await query.select("id");
+    if (error) throw error;
+
+    kickJobWorker();
+    return res.json({ ok: true, requeued: (data || []).length });
+  } catch (e) {
+    logError(req, e, "admin/jobs/retry-dead");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// Admin: outbound webhooks
+// ------------------------------------------------------------
+const WEBHOOK_DELIVERY_STATUSES = ["pending", "delivered", "failed", "skipped"];
+const WEBHOOK_SUBSCRIPTION_COLUMNS = "id,client_id,url,events,active,created_at";
+
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function parseWebhookSubscription(body) {
+  const { url, events = [] } = body || {};
+  let parsed;
+  try {
+    parsed = new URL(String(url || ""));
+  } catch {
+    throw httpError(400, "url must be an absolute http(s) URL");
+  }
+  if (!["https:", "http:"].includes(parsed.protocol)) throw httpError(400, "url must be an absolute http(s) URL");
+  if (!Array.isArray(events) || events.some((e) => !WEBHOOK_EVENTS.includes(e))) {
+    throw httpError(400, `events must be a list of: ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+  return { url: parsed.toString(), events: [...new Set(events)] };
+}
+
+app.get("/admin/clients/:client_id/webhooks", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
+      .eq("client_id", req.params.client_id)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+
+    return res.json({ ok: true, events: WEBHOOK_EVENTS, subscriptions: data || [] });
+  } catch (e) {
+    logError(req, e, "admin/webhooks/list");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// { url, events? } -> the subscription plus its signing secret (only shown here and on rotation)
+app.post("/admin/clients/:client_id/webhooks", adminAuth, async (req, res) => {
+  try {
+    const { url, events } = parseWebhookSubscription(req.body);
+
+    const { data: client, error: cErr } = await supabase
+      .from("clients")
+      .select("id")
+      .eq("id", req.params.client_id)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (!client) return res.status(404).json({ ok: false, error: "Client not found" });
+
+    const secret = newWebhookSecret();
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .insert({ client_id: client.id, url, events, secret, active: true })
+      .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
       .single();
+    if (error) throw error;
+
+    return res.json({ ok: true, subscription: data, secret });
+  } catch (e) {
+    logError(req, e, "admin/webhooks/create");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
 
+app.post("/admin/clients/:client_id/webhooks/:id/rotate-secret", adminAuth, async (req, res) => {
+  try {
+    const secret = newWebhookSecret();
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .update({ secret })
+      .eq("id", req.params.id)
+      .eq("client_id", req.params.client_id)
+      .select(WEBHOOK_SUBSCRIPTION_COLUMNS);
     if (error) throw error;
+    if (!data?.length) return res.status(404).json({ ok: false, error: "Subscription not found" });
 
-    return res.json({
-      ok: true,
-      appointment_id: data.id,
-      google_event_id,
-      start_time,
-      end_time,
-    });
+    return res.json({ ok: true, subscription: data[0], secret });
   } catch (e) {
-    logError(req, e, "tools/book-appointment");
+    logError(req, e, "admin/webhooks/rotate-secret");
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// 3) CANCEL APPOINTMENT
-app.post("/tools/cancel-appointment", toolAuth, async (req, res) => {
+// Deactivates rather than deletes, so the delivery log keeps its subscription.
+app.delete("/admin/clients/:client_id/webhooks/:id", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .update({ active: false })
+      .eq("id", req.params.id)
+      .eq("client_id", req.params.client_id)
+      .select("id");
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ ok: false, error: "Subscription not found" });
+
+    return res.json({ ok: true, disabled: data[0].id });
+  } catch (e) {
+    logError(req, e, "admin/webhooks/delete");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ?status=failed&limit=50. Failed deliveries retry on their own; dead ones are re-run from
+// /admin/jobs (type webhook.deliver).
+app.get("/admin/clients/:client_id/webhooks/:id/deliveries", adminAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      const allowed = WEBHOOK_DELIVERY_STATUSES.join(", ");
+      return res.status(400).json({ ok: false, error: `status must be one of ${allowed}` });
+    }
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 500));
+
+    let query = supabase
+      .from("webhook_deliveries")
+      .select("*")
+      .eq("client_id", req.params.client_id)
+      .eq("subscription_id", req.params.id)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (status) query = query.eq("status", status);
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return res.json({ ok: true, deliveries: data || [] });
+  } catch (e) {
+    logError(req, e, "admin/webhooks/deliveries");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ------------------------------------------------------------
+// TOOLS
+// ------------------------------------------------------------
+
+// Retell call behind a tool request, sent as call_id/agent_id arguments. Tools read their
+// arguments from the top level of the body, so functions must be configured with "args only";
+// the full payload nests them under `args` and adds a `call` object that changes between
+// retries (which the idempotency check would reject).
+function retellCallContext(req) {
+  const body = req.body || {};
+  return { call_id: body.call_id || null, agent_id: body.agent_id || null };
+}
+
+// 1) CHECK AVAILABILITY
+app.post("/tools/check-availability", toolAuth, async (req, res) => {
   try {
     if (!enforceClientIdMatch(req, res)) return;
+
     const client_id = req.client_id;
+    const { date, from_date, to_date, service_id, staff_id, call_id, max_results = 5 } = req.body || {};
 
-    const { appointment_id } = req.body || {};
-    if (!appointment_id) return res.status(400).json({ ok: false, error: "Missing appointment_id" });
+    // search mode: "next available" / "Tuesday or Thursday afternoon" across a date range
+    const search = !date;
 
-    const { data: appt, error } = await supabase
-      .from("appointments")
-      .select("*")
-      .eq("id", appointment_id)
-      .eq("client_id", client_id)
-      .single();
+    const rules = await getClientBusinessRules(client_id);
+    const service = service_id ? await getClientService(client_id, service_id) : null;
+    const duration_minutes = service?.duration_minutes || req.body?.duration_minutes || 30;
 
-    if (error) throw error;
+    if (!search) {
+      const day = DateTime.fromISO(date, { zone: rules.timezone });
+      if (!day.isValid) return res.status(400).json({ ok: false, error: "Invalid date YYYY-MM-DD" });
+
+      const closed = getClosureReason(day, rules);
+      if (closed) {
+        const service_id = service?.id || null;
+        return res.json({ ok: true, date, timezone: rules.timezone, service_id, closed, slots: [] });
+      }
 
-    const { calendar, calendar_id } = await getClientCalendar(client_id);
+      const slots = await findAvailableSlots({
+        client_id,
+        rules,
+        service,
+        staff_id,
+        fromDate: date,
+        durationMinutes: duration_minutes,
+        call_id,
+      });
 
-    if (appt.google_event_id) {
-      await calendar.events.delete({ calendarId: calendar_id, eventId: appt.google_event_id });
+      return res.json({
+        ok: true,
+        date,
+        timezone: rules.timezone,
+        service_id: service?.id || null,
+        staff_id: staff_id || null,
+        slots,
+      });
     }
 
-    await supabase.from("appointments").update({ status: "cancelled" }).eq("id", appt.id);
+    const today = DateTime.now().setZone(rules.timezone).toISODate();
+    const from = DateTime.fromISO(from_date || today, { zone: rules.timezone });
+    const to = DateTime.fromISO(to_date || from.plus({ days: 14 }).toISODate(), { zone: rules.timezone });
+    if (!from.isValid || !to.isValid || to < from) {
+      return res.status(400).json({ ok: false, error: "Need date, or a valid from_date/to_date range (YYYY-MM-DD)" });
+    }
+    if (to.diff(from, "days").days > MAX_SEARCH_DAYS) {
+      return res.status(400).json({ ok: false, error: `Search range is limited to ${MAX_SEARCH_DAYS} days` });
+    }
 
-    return res.json({ ok: true, cancelled_appointment_id: appt.id });
+    const slots = await findAvailableSlots({
+      client_id,
+      rules,
+      service,
+      staff_id,
+      fromDate: from.toISODate() < today ? today : from.toISODate(),
+      toDate: to.toISODate(),
+      durationMinutes: duration_minutes,
+      filter: buildSlotFilter(req.body),
+      limit: Math.max(1, Math.min(Number(max_results) || 5, 50)),
+      call_id,
+    });
+
+    return res.json({
+      ok: true,
+      mode: "search",
+      from_date: from.toISODate(),
+      to_date: to.toISODate(),
+      timezone: rules.timezone,
+      service_id: service?.id || null,
+      staff_id: staff_id || null,
+      slots,
+    });
   } catch (e) {
-    logError(req, e, "tools/cancel-appointment");
-    return res.status(500).json({ ok: false, error: e.message });
+    logError(req, e, "tools/check-availability");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
-// 4) RESCHEDULE APPOINTMENT
-app.post("/tools/reschedule-appointment", toolAuth, async (req, res) => {
+// 2) BOOK APPOINTMENT
+app.post("/tools/book-appointment", toolAuth, idempotent("book", { required: true }), async (req, res) => {
   try {
     if (!enforceClientIdMatch(req, res)) return;
     const client_id = req.client_id;
 
     const {
-      appointment_id,
-      new_start_time,
-      new_end_time,
-      timezone = "America/Toronto",
-      new_title,
+      start_time,
+      end_time,
+      service_id,
+      staff_id,
+      title,
+      customer_name,
+      customer_email,
+      customer_phone,
+      customer_id,
       notes,
+      idempotency_key,
+      hold_id,
     } = req.body || {};
 
-    if (!appointment_id) return res.status(400).json({ ok: false, error: "Missing appointment_id" });
-    if (!new_start_time || !new_end_time)
-      return res.status(400).json({ ok: false, error: "Missing new_start_time/new_end_time" });
-
-    const rules = getDefaultBusinessRules(timezone);
-    const ruleCheck = validateAgainstBusinessRules({
-      startISO: new_start_time,
-      endISO: new_end_time,
-      rules,
+    const { appointment, service, staff } = await createBooking({
+      client_id,
+      start_time,
+      end_time,
+      service_id,
+      staff_id,
+      title,
+      customer_name,
+      customer_email,
+      customer_phone,
+      customer_id,
+      notes,
+      idempotency_key,
+      hold_id,
+      ...retellCallContext(req),
     });
-    if (!ruleCheck.ok) return res.status(400).json({ ok: false, error: ruleCheck.error });
-
-    const { data: oldAppt, error } = await supabase
-      .from("appointments")
-      .select("*")
-      .eq("id", appointment_id)
-      .eq("client_id", client_id)
-      .single();
 
-    if (error) throw error;
-
-    // check overlap BEFORE deleting old
-    const overlapDb = await hasOverlapInSupabase(client_id, new_start_time, new_end_time, oldAppt.id);
-    if (overlapDb) return res.status(409).json({ ok: false, error: "New slot already booked" });
+    return res.json({
+      ok: true,
+      appointment_id: appointment.id,
+      google_event_id: appointment.google_event_id,
+      customer_id: appointment.customer_id,
+      service_id: service?.id || null,
+      staff: publicStaff(staff),
+      start_time: appointment.start_time,
+      end_time: appointment.end_time,
+    });
+  } catch (e) {
+    logError(req, e, "tools/book-appointment");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
 
-    const { calendar, calendar_id } = await getClientCalendar(client_id);
+// 3) CANCEL APPOINTMENT
+app.post("/tools/cancel-appointment", toolAuth, idempotent("cancel"), async (req, res) => {
+  try {
+    if (!enforceClientIdMatch(req, res)) return;
+    const client_id = req.client_id;
 
-    const free = await isFreeInGoogleCalendar(calendar, calendar_id, new_start_time, new_end_time);
-    if (!free) return res.status(409).json({ ok: false, error: "New slot busy in calendar" });
+    const { appointment_id } = req.body || {};
+    if (!appointment_id) return res.status(400).json({ ok: false, error: "Missing appointment_id" });
 
-    // delete old event
-    if (oldAppt.google_event_id) {
-      await calendar.events.delete({ calendarId: calendar_id, eventId: oldAppt.google_event_id });
-    }
+    const appt = await cancelBooking({ client_id, appointment_id, call_id: retellCallContext(req).call_id });
 
-    // create new event
-    const eventResp = await calendar.events.insert({
-      calendarId: calendar_id,
-      requestBody: {
-        summary: new_title || oldAppt.title || "Appointment (Rescheduled)",
-        description: [
-          "Rescheduled by AI",
-          oldAppt.customer_name ? `Name: ${oldAppt.customer_name}` : null,
-          oldAppt.customer_email ? `Email: ${oldAppt.customer_email}` : null,
-          oldAppt.customer_phone ? `Phone: ${oldAppt.customer_phone}` : null,
-          notes ? `Notes: ${notes}` : null,
-        ].filter(Boolean).join("\n"),
-        start: { dateTime: new_start_time, timeZone: timezone },
-        end: { dateTime: new_end_time, timeZone: timezone },
-      },
-    });
+    return res.json({ ok: true, cancelled_appointment_id: appt.id });
+  } catch (e) {
+    logError(req, e, "tools/cancel-appointment");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
 
-    const newGoogleEventId = eventResp.data.id;
+// 4) RESCHEDULE APPOINTMENT
+app.post("/tools/reschedule-appointment", toolAuth, idempotent("reschedule"), async (req, res) => {
+  try {
+    if (!enforceClientIdMatch(req, res)) return;
+    const client_id = req.client_id;
 
-    // mark old row
-    await supabase.from("appointments").update({ status: "rescheduled" }).eq("id", oldAppt.id);
+    const { appointment_id, new_start_time, new_end_time, new_title, notes, staff_id } = req.body || {};
 
-    // insert new row
-    const { data: newAppt, error: insErr } = await supabase
-      .from("appointments")
-      .insert({
-        client_id,
-        customer_name: oldAppt.customer_name || null,
-        customer_email: oldAppt.customer_email || null,
-        customer_phone: oldAppt.customer_phone || null,
-        start_time: new_start_time,
-        end_time: new_end_time,
-        timezone,
-        status: "booked",
-        google_calendar_id: calendar_id,
-        google_event_id: newGoogleEventId,
-        previous_appointment_id: oldAppt.id,
-        title: new_title || oldAppt.title || "Appointment (Rescheduled)",
-        notes: notes || null,
-      })
-      .select()
-      .single();
+    if (!appointment_id) return res.status(400).json({ ok: false, error: "Missing appointment_id" });
 
-    if (insErr) throw insErr;
+    const { oldAppt, newAppt, staff } = await rescheduleBooking({
+      client_id,
+      appointment_id,
+      new_start_time,
+      new_end_time,
+      new_title,
+      notes,
+      staff_id,
+      ...retellCallContext(req),
+    });
 
     return res.json({
       ok: true,
       old_appointment_id: oldAppt.id,
       new_appointment_id: newAppt.id,
-      new_google_event_id: newGoogleEventId,
+      new_google_event_id: newAppt.google_event_id,
+      staff: publicStaff(staff),
     });
   } catch (e) {
     logError(req, e, "tools/reschedule-appointment");
-    return res.status(500).json({ ok: false, error: e.message });
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
@@ -699,144 +5561,306 @@ app.post("/tools/find-appointment", toolAuth, async (req, res) => {
     if (!enforceClientIdMatch(req, res)) return;
     const client_id = req.client_id;
 
-    const { customer_phone, customer_email, from_date, to_date, limit = 5, timezone = "America/Toronto" } =
+    const { customer_id, customer_phone, customer_email, customer_name, from_date, to_date, around_date } =
       req.body || {};
+    const limit = Math.max(1, Math.min(Number(req.body?.limit) || 5, 20));
 
-    if (!customer_phone && !customer_email) {
-      return res.status(400).json({ ok: false, error: "Need customer_phone or customer_email" });
+    if (!customer_id && !customer_phone && !customer_email && !customer_name) {
+      const error = "Need customer_phone, customer_email, customer_name or customer_id";
+      return res.status(400).json({ ok: false, error });
     }
 
-    const zone = timezone;
+    const { timezone: zone } = await getClientBusinessRules(client_id);
     const now = DateTime.now().setZone(zone);
 
+    // "around" is a date (YYYY-MM-DD) or a date and time the caller mentioned
+    let around = null;
+    if (around_date) {
+      const at = DateTime.fromISO(around_date, { zone });
+      if (!at.isValid) return res.status(400).json({ ok: false, error: "Invalid around_date" });
+      around = { at, hasTime: String(around_date).includes("T") };
+    }
+
     const fromISO = from_date
       ? DateTime.fromISO(from_date, { zone }).startOf("day").toUTC().toISO()
-      : now.toUTC().toISO();
+      : around
+        ? around.at.minus({ days: AROUND_DATE_DAYS }).startOf("day").toUTC().toISO()
+        : now.toUTC().toISO();
 
     const toISO = to_date
       ? DateTime.fromISO(to_date, { zone }).endOf("day").toUTC().toISO()
-      : now.plus({ days: 30 }).toUTC().toISO();
+      : around
+        ? around.at.plus({ days: AROUND_DATE_DAYS }).endOf("day").toUTC().toISO()
+        : now.plus({ days: 30 }).toUTC().toISO();
 
-    let q = supabase
+    const { data, error } = await supabase
       .from("appointments")
-      .select("id,start_time,end_time,status,customer_name,customer_email,customer_phone,title")
+      .select(
+        "id,start_time,end_time,status,title,service_id,staff_id," +
+          "customer_id,customer_name,customer_email,customer_phone"
+      )
       .eq("client_id", client_id)
       .in("status", ["booked"])
       .gte("start_time", fromISO)
       .lte("start_time", toISO)
       .order("start_time", { ascending: true })
-      .limit(limit);
-
-    if (customer_phone) q = q.eq("customer_phone", customer_phone);
-    if (customer_email) q = q.eq("customer_email", customer_email);
-
-    const { data, error } = await q;
+      .limit(1000);
     if (error) throw error;
 
-    return res.json({ ok: true, matches: data || [] });
+    const query = { customer_id, phone: customer_phone, email: customer_email, name: customer_name, around, zone };
+    const matches = (data || [])
+      .map((appt) => ({ appt, match: scoreAppointmentMatch(appt, query) }))
+      .filter((m) => m.match)
+      .sort(
+        (a, b) =>
+          b.match.score - a.match.score ||
+          DateTime.fromISO(a.appt.start_time).toMillis() - DateTime.fromISO(b.appt.start_time).toMillis()
+      )
+      .slice(0, limit)
+      .map(({ appt, match }) => ({
+        ...appt,
+        local_time: DateTime.fromISO(appt.start_time, { zone }).toFormat("cccc, LLLL d 'at' h:mm a"),
+        score: match.score,
+        matched_on: match.matched_on,
+      }));
+
+    return res.json({ ok: true, timezone: zone, matches });
   } catch (e) {
     logError(req, e, "tools/find-appointment");
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// 6) LIST SERVICES
+app.post("/tools/list-services", toolAuth, async (req, res) => {
+  try {
+    if (!enforceClientIdMatch(req, res)) return;
+    const services = await listClientServices(req.client_id);
+    return res.json({ ok: true, services });
+  } catch (e) {
+    logError(req, e, "tools/list-services");
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// 7) HOLD SLOT
+// Keeps an offered slot off other callers' availability for a few minutes; book-appointment
+// converts it with hold_id.
+app.post("/tools/hold-slot", toolAuth, async (req, res) => {
+  try {
+    if (!enforceClientIdMatch(req, res)) return;
+    const client_id = req.client_id;
+
+    const { start_time, service_id, staff_id, call_id, ttl_seconds } = req.body || {};
+    if (!call_id) return res.status(400).json({ ok: false, error: "Missing call_id" });
+
+    const rules = await getClientBusinessRules(client_id);
+    const service = service_id ? await getClientService(client_id, service_id) : null;
+    const end_time = checkRequestedSlot({ start_time, end_time: req.body?.end_time, service, rules });
+
+    const ttlMs = ttl_seconds
+      ? Math.min(Math.max(Number(ttl_seconds) * 1000, 30 * 1000), MAX_HOLD_TTL_MS)
+      : HOLD_TTL_MS;
+    const assigned = await assignSlot({
+      client_id,
+      rules,
+      service,
+      startISO: start_time,
+      endISO: end_time,
+      staff_id,
+      reserve: { kind: "hold", ttlMs, call_id: String(call_id) },
+    });
+    if (!assigned.ok) return res.status(assigned.status).json({ ok: false, error: assigned.error });
+
+    const hold = assigned.reservation;
+    await releaseCallHolds(client_id, String(call_id), hold.id);
+
+    return res.json({
+      ok: true,
+      hold_id: hold.id,
+      start_time,
+      end_time,
+      expires_at: hold.expires_at,
+      staff: publicStaff(assigned.staff),
+    });
+  } catch (e) {
+    logError(req, e, "tools/hold-slot");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// 8) JOIN WAITLIST
+app.post("/tools/join-waitlist", toolAuth, async (req, res) => {
+  try {
+    if (!enforceClientIdMatch(req, res)) return;
+    const client_id = req.client_id;
+
+    const { customer_name, customer_phone, customer_email, service_id, staff_id, from_date, to_date, notes } =
+      req.body || {};
+    if (!customer_phone && !customer_email) {
+      return res.status(400).json({ ok: false, error: "Need customer_phone or customer_email" });
+    }
+
+    if (service_id) await getClientService(client_id, service_id);
+    if (staff_id) await getBookableStaffMember(client_id, staff_id, service_id || null);
+    const filter = buildSlotFilter({ ...req.body, weekdays: req.body?.preferred_weekdays || req.body?.weekdays });
+
+    const { data, error } = await supabase
+      .from("waitlist_entries")
+      .insert({
+        client_id,
+        customer_name: customer_name || null,
+        customer_phone: normalizePhone(customer_phone) || customer_phone || null,
+        customer_email: normalizeEmail(customer_email) || customer_email || null,
+        service_id: service_id || null,
+        staff_id: staff_id || null,
+        preferred_weekdays: filter.weekdays,
+        earliest_time: filter.earliest,
+        latest_time: filter.latest,
+        from_date: from_date || null,
+        to_date: to_date || null,
+        notes: notes || null,
+        status: "waiting",
+      })
+      .select("id")
+      .single();
+    if (error) throw error;
+
+    return res.json({ ok: true, waitlist_id: data.id });
+  } catch (e) {
+    logError(req, e, "tools/join-waitlist");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// 9) LOOKUP CALLER
+// Called at call start with Retell's from_number so returning customers are greeted by name.
+const LOOKUP_UPCOMING_LIMIT = 5;
+const LOOKUP_RECENT_CALLS_LIMIT = 5;
+
+app.post("/tools/lookup-caller", toolAuth, async (req, res) => {
+  try {
+    if (!enforceClientIdMatch(req, res)) return;
+    const client_id = req.client_id;
+
+    const raw = req.body?.from_number || req.body?.phone || req.body?.customer_phone;
+    const phone = normalizePhone(raw);
+    if (!phone) return res.status(400).json({ ok: false, error: "Missing or invalid from_number" });
+
+    const customer = await findCustomer(client_id, { phone });
+    if (!customer) return res.json({ ok: true, known: false, phone });
+
+    const { timezone } = await getClientBusinessRules(client_id);
+    const [{ data: upcoming, error: aErr }, { data: calls, error: cErr }] = await Promise.all([
+      supabase
+        .from("appointments")
+        .select("id,start_time,end_time,title,service_id,staff_id")
+        .eq("client_id", client_id)
+        .eq("customer_id", customer.id)
+        .eq("status", "booked")
+        .gte("start_time", new Date().toISOString())
+        .order("start_time", { ascending: true })
+        .limit(LOOKUP_UPCOMING_LIMIT),
+      supabase
+        .from("calls")
+        .select("created_at,action,summary")
+        .eq("client_id", client_id)
+        .eq("customer_id", customer.id)
+        .order("created_at", { ascending: false })
+        .limit(LOOKUP_RECENT_CALLS_LIMIT),
+    ]);
+    if (aErr) throw aErr;
+    if (cErr) throw cErr;
+
+    return res.json({
+      ok: true,
+      known: true,
+      phone,
+      timezone,
+      customer: { id: customer.id, name: customer.name, email: customer.email, phone: customer.phone },
+      upcoming_appointments: upcoming || [],
+      recent_calls: (calls || []).map((c) => ({
+        at: c.created_at,
+        action: c.action,
+        summary: c.summary && c.summary.length > 300 ? `${c.summary.slice(0, 297)}...` : c.summary,
+      })),
+    });
+  } catch (e) {
+    logError(req, e, "tools/lookup-caller");
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
 // ------------------------------------------------------------
 // RETELL WEBHOOK (email summary)
 // ------------------------------------------------------------
 app.post("/retell-webhook", async (req, res) => {
   try {
-    requireWebhookToken(req);
-
     const client_id = req.query.client_id;
     if (!client_id) return res.status(400).json({ ok: false, error: "Missing client_id" });
+    await requireRetellWebhookAuth(req, client_id);
 
     const event = req.body?.event;
-    if (event !== "call_analyzed") return res.json({ ok: true, skipped: true, event });
+    if (!RETELL_CALL_EVENTS.has(event)) return res.json({ ok: true, skipped: true, event });
 
     const call_id = req.body?.call?.call_id || req.body?.call_id || req.body?.id || null;
     if (!call_id) return res.status(400).json({ ok: false, error: "Missing call_id" });
 
-    // respond fast
-    res.status(200).json({ ok: true, accepted: true });
+    const delivery = { source: "retell", event_key: `${call_id}:${event}`, client_id };
+    if (!(await claimWebhookEvent(delivery))) return res.json({ ok: true, duplicate: true, event });
 
-    setImmediate(async () => {
-      try {
-        const { data: client, error: cErr } = await supabase
-          .from("clients")
-          .select("email,name")
-          .eq("id", client_id)
-          .single();
-        if (cErr) throw cErr;
-
-        const call = await fetchRetellCall(call_id);
-
-        const summary =
-          call?.call_analysis?.call_summary ||
-          call?.call_analysis?.summary ||
-          call?.call_summary ||
-          call?.summary ||
-          "";
-
-        const transcript = normalizeTranscriptFromRetellCall(call) || "";
-
-        const from_number =
-          call?.from_number || call?.from || call?.caller_number || call?.call?.from_number || "(unknown)";
-
-        const recording_url = call?.recording_url || call?.recordingUrl || call?.call?.recording_url || "";
-
-        const action = detectAction(summary, transcript);
-
-        await supabase.from("calls").insert({
-          client_id,
-          retell_call_id: call_id,
-          action,
-          summary: summary || "(none)",
-          transcript: transcript || "(none)",
-          from_number,
-        });
-
-        const html = `
-          <h2>AI Call Summary</h2>
-          <p><b>Client:</b> ${escapeHtml(client?.name || "")}</p>
-          <p><b>Action:</b> ${escapeHtml(action)}</p>
-          <p><b>From:</b> ${escapeHtml(from_number)}</p>
-
-          <h3>Summary</h3>
-          <p>${escapeHtml(summary || "(none)")}</p>
-
-          <h3>Transcript</h3>
-          <pre style="white-space:pre-wrap;">${escapeHtml(transcript || "(none)")}</pre>
-
-          <h3>Recording</h3>
-          ${
-            recording_url
-              ? `<a href="${recording_url}">Listen / Download Recording</a>`
-              : `<p>(no recording link available)</p>`
-          }
-        `;
-
-        const sendResult = await resend.emails.send({
-          from: mustEnv("FROM_EMAIL"),
-          to: client.email,
-          subject: `AI Call Summary: ${action.toUpperCase()}`,
-          html,
-        });
-
-        if (sendResult.error) throw new Error(sendResult.error.message);
-
-        console.log(JSON.stringify({ level: "info", msg: "EMAIL SENT", id: sendResult.data?.id }));
-      } catch (e) {
-        console.error(JSON.stringify({ level: "error", msg: "WEBHOOK ASYNC ERROR", error: e?.message }));
-      }
-    });
+    try {
+      await recordCallEvent(client_id, event, { ...req.body?.call, call_id });
+    } catch (e) {
+      await compensate("retell-webhook/release-event", () => releaseWebhookEvent(delivery), { call_id });
+      throw e;
+    }
+    if (event !== "call_analyzed") return res.json({ ok: true, recorded: true, event });
+
+    try {
+      await enqueueJob("retell.call_analyzed", { client_id, call_id });
+    } catch (e) {
+      await compensate("retell-webhook/release-event", () => releaseWebhookEvent(delivery), { call_id });
+      throw e;
+    }
+    return res.json({ ok: true, accepted: true });
   } catch (e) {
     logError(req, e, "retell-webhook");
     return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
+// ------------------------------------------------------------
+// Background timers
+// ------------------------------------------------------------
+// Runs fn every `ms`; a slow run is never overlapped by the next tick.
+function every(name, ms, fn) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (e) {
+      logError(null, e, `timer/${name}`);
+    } finally {
+      running = false;
+    }
+  }, ms);
+  timer.unref();
+}
+
 // ------------------------------------------------------------
 // Start
 // ------------------------------------------------------------
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`LISTENING on ${PORT} (${VERSION})`));
\ No newline at end of file
+app.listen(PORT, () => {
+  console.log(`LISTENING on ${PORT} (${VERSION})`);
+  every("renew-calendar-watches", 60 * 60 * 1000, renewCalendarWatches);
+  every("sweep-reservations", 60 * 1000, sweepExpiredReservations);
+  every("expire-waitlist-offers", 60 * 1000, expireWaitlistOffers);
+  every("send-reminders", 60 * 1000, sendDueReminders);
+  every("work-jobs", 5 * 1000, workJobs);
+  every("queue-call-digests", 5 * 60 * 1000, queueDueCallDigests);
+  every("requeue-stuck-jobs", 60 * 1000, requeueStuckJobs);
+});
\ No newline at end of file